@@ -0,0 +1,59 @@
+// Import planning for library archives, kept free of the database so it can
+// be tested on its own. See "Library export / import" in server.js for the
+// archive layout and the job that carries the plan out.
+//
+// library: { ownsItem(id), findDuplicate(hashes) -> item ID or null,
+// findGallery(name) -> { id, items: [item IDs] } or null }
+
+// Work out what an import would change without touching the library
+function planImport({ manifest, files }, library) {
+  const items = manifest.items.map(item => {
+    const file = files[item.file];
+    if (!file) return { old_id: item.id, name: item.name, action: 'missing' };
+    // Re-importing into the same account
+    if (library.ownsItem(item.id)) {
+      return { old_id: item.id, name: item.name, action: 'skip', existing_id: item.id };
+    }
+    const hashes = item.photo?.dhash && item.photo?.phash ? item.photo : file.hashes;
+    const match = library.findDuplicate(hashes);
+    if (match) return { old_id: item.id, name: item.name, action: 'skip', existing_id: match };
+    return { old_id: item.id, name: item.name, action: 'upload' };
+  });
+
+  const existingIds = Object.fromEntries(items.filter(i => i.action === 'skip').map(i => [i.old_id, i.existing_id]));
+  const archived = new Set(manifest.items.map(i => i.id));
+  const galleries = manifest.galleries.map(gallery => {
+    const existing = library.findGallery(gallery.name || '');
+    const present = new Set(existing ? existing.items : []);
+    // Members that aren't in the archive (e.g. Meural art) are added by their original ID
+    const adds = gallery.items.filter(id => !present.has(existingIds[id] ?? (archived.has(id) ? null : id))).length;
+    return { old_id: gallery.id, name: gallery.name, action: existing ? 'reuse' : 'create', existing_id: existing?.id ?? null, items_to_add: adds };
+  });
+
+  const count = action => items.filter(i => i.action === action).length;
+  return {
+    exported_at: manifest.exported_at,
+    summary: {
+      upload: count('upload'),
+      skip: count('skip'),
+      missing: count('missing'),
+      create_galleries: galleries.filter(g => g.action === 'create').length,
+      reuse_galleries: galleries.filter(g => g.action === 'reuse').length,
+      memberships: galleries.reduce((sum, g) => sum + g.items_to_add, 0)
+    },
+    items,
+    galleries
+  };
+}
+
+// The archive's playlists as the import job rebuilds them: each carries the
+// playlist the plan reuses, if any
+function importJobGalleries(manifest, plan) {
+  const planned = Object.fromEntries(plan.galleries.map(g => [g.old_id, g]));
+  return manifest.galleries.map(g => ({ ...g, existing_id: planned[g.id]?.existing_id ?? null }));
+}
+
+module.exports = {
+  planImport,
+  importJobGalleries
+};
@@ -0,0 +1,160 @@
+// Playlist schedule rules and the scheduler loop, kept free of the database
+// and the Meural API so they can be tested on their own. See "Playlist
+// schedules" in server.js for the table layout.
+
+// Returns an error message for an invalid schedule, or null
+function validateSchedule(s) {
+  if (!s.name) return 'name is required';
+  if (!parseInt(s.gallery_id)) return 'gallery_id is required';
+  if (s.days != null && (!Array.isArray(s.days) || s.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    return 'days must be an array of 0-6 (0 = Sunday)';
+  }
+  for (const key of ['start_time', 'end_time']) {
+    if (s[key] && !/^([01]\d|2[0-3]):[0-5]\d$/.test(s[key])) return `${key} must be HH:MM`;
+  }
+  for (const key of ['start_date', 'end_date']) {
+    if (s[key] && !/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(s[key])) return `${key} must be MM-DD`;
+  }
+  if (!s.start_time !== !s.end_time) return 'start_time and end_time go together';
+  if (!s.start_date !== !s.end_date) return 'start_date and end_date go together';
+  return null;
+}
+
+// Whether value falls in [start, end), wrapping when start > end
+function inWrappingRange(value, start, end) {
+  if (start === end) return true;
+  return start < end ? value >= start && value < end : value >= start || value < end;
+}
+
+function scheduleMatches(schedule, date) {
+  if (schedule.days && !schedule.days.includes(date.getDay())) return false;
+  if (schedule.start_time) {
+    const toMinutes = t => parseInt(t.slice(0, 2)) * 60 + parseInt(t.slice(3, 5));
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (!inWrappingRange(minutes, toMinutes(schedule.start_time), toMinutes(schedule.end_time))) return false;
+  }
+  if (schedule.start_date) {
+    // MM-DD strings compare in calendar order; end date is inclusive
+    const md = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const start = schedule.start_date;
+    const end = schedule.end_date;
+    const inRange = start <= end ? md >= start && md <= end : md >= start || md <= end;
+    if (!inRange) return false;
+  }
+  return true;
+}
+
+// The schedule that should be playing on a device at a given time, or null
+function resolveSchedule(schedules, deviceId, date) {
+  const candidates = schedules.filter(s =>
+    s.enabled && (s.device_id == null || s.device_id === deviceId) && scheduleMatches(s, date)
+  );
+  candidates.sort((a, b) =>
+    (b.priority - a.priority) ||
+    ((b.device_id != null) - (a.device_id != null)) ||
+    (b.id - a.id)
+  );
+  return candidates[0] || null;
+}
+
+// In-memory state store, for running the rules without a database
+function memoryScheduleStore() {
+  const state = new Map();
+  const runs = [];
+  return {
+    runs,
+    getState: deviceId => state.get(deviceId) || null,
+    setState: (deviceId, value) => state.set(deviceId, { device_id: deviceId, ...value }),
+    clearState: deviceId => state.delete(deviceId),
+    recordRun: run => runs.push(run)
+  };
+}
+
+// A frame that couldn't be switched is retried after a delay that doubles
+// with each failure, so an offline frame isn't tried (and logged) every tick
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+function retryDelay(failures) {
+  return Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+}
+
+// Build a scheduler around an injectable clock, assign function and state
+// store so the rules can be exercised offline:
+//   createScheduler({ now: () => fixedDate, store: memoryScheduleStore(), ... })
+// store: { getState(deviceId), setState(deviceId, { schedule_id, gallery_id,
+// assigned_at, failures, last_failed_at }), clearState(deviceId), recordRun(run).
+// While failures > 0 the state holds the assignment that keeps failing.
+function createScheduler({ now = () => new Date(), assign, loadSchedules, loadDevices, store = memoryScheduleStore() }) {
+  // Per-device segments of what plays when, sampled every stepMinutes
+  function timeline(start, days = 7, stepMinutes = 15) {
+    const schedules = loadSchedules();
+    const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+    return loadDevices().map(device => {
+      const segments = [];
+      for (let t = new Date(start); t < end; t = new Date(t.getTime() + stepMinutes * 60 * 1000)) {
+        const active = resolveSchedule(schedules, device.id, t);
+        const last = segments[segments.length - 1];
+        if (last && last.schedule_id === (active?.id ?? null)) {
+          last.end = new Date(t.getTime() + stepMinutes * 60 * 1000).toISOString();
+        } else {
+          segments.push({
+            start: t.toISOString(),
+            end: new Date(t.getTime() + stepMinutes * 60 * 1000).toISOString(),
+            schedule_id: active?.id ?? null,
+            gallery_id: active?.gallery_id ?? null
+          });
+        }
+      }
+      return { device_id: device.id, segments };
+    });
+  }
+
+  // Assign galleries for any device whose active schedule changed.
+  // retryFailed skips the backoff, for a run started by hand.
+  async function tick({ retryFailed = false } = {}) {
+    const at = now();
+    const schedules = loadSchedules();
+    const runs = [];
+    for (const device of loadDevices()) {
+      const active = resolveSchedule(schedules, device.id, at);
+      const state = store.getState(device.id);
+      if (!active) {
+        if (state) store.clearState(device.id);
+        continue;
+      }
+      const current = state && state.schedule_id === active.id && state.gallery_id === active.gallery_id;
+      if (current && !state.failures) continue;
+      if (current && !retryFailed && at - new Date(state.last_failed_at) < retryDelay(state.failures)) continue;
+
+      let status = 'success', error = null;
+      try {
+        await assign(device.id, active.gallery_id);
+        store.setState(device.id, { schedule_id: active.id, gallery_id: active.gallery_id, assigned_at: at.toISOString(), failures: 0, last_failed_at: null });
+      } catch (err) {
+        status = 'failed';
+        error = err.message;
+        store.setState(device.id, {
+          schedule_id: active.id, gallery_id: active.gallery_id, assigned_at: null,
+          failures: (current ? state.failures : 0) + 1, last_failed_at: at.toISOString()
+        });
+      }
+      const run = { schedule_id: active.id, device_id: device.id, gallery_id: active.gallery_id, ran_at: at.toISOString(), status, error };
+      store.recordRun(run);
+      runs.push(run);
+    }
+    return runs;
+  }
+
+  return { now, tick, timeline, resolve: (deviceId, date = now()) => resolveSchedule(loadSchedules(), deviceId, date) };
+}
+
+module.exports = {
+  validateSchedule,
+  inWrappingRange,
+  scheduleMatches,
+  resolveSchedule,
+  memoryScheduleStore,
+  retryDelay,
+  createScheduler
+};
@@ -0,0 +1,146 @@
+// Search box query parsing, kept free of the database so it can be tested on
+// its own. See "Search" in server.js for the index and how queries run; the
+// SQL conditions here refer to its items (i) and photos (p) aliases.
+
+const SEARCH_TEXT_FIELDS = ['name', 'description', 'caption', 'location', 'camera', 'lens', 'filename'];
+const SEARCH_RANGE_FIELDS = {
+  date: { column: 'p.date_taken', type: 'date' },
+  year: { column: 'p.date_taken', type: 'date' },
+  month: { column: "CAST(strftime('%m', p.date_taken) AS INTEGER)", type: 'number' },
+  iso: { column: 'p.iso', type: 'number' },
+  focal: { column: 'p.focal_length', type: 'number' },
+  focal35: { column: 'p.focal_length_35mm', type: 'number' },
+  aperture: { column: 'p.aperture', type: 'number' },
+  f: { column: 'p.aperture', type: 'number' },
+  width: { column: 'COALESCE(p.width, i.original_width)', type: 'number' },
+  height: { column: 'COALESCE(p.height, i.original_height)', type: 'number' },
+  altitude: { column: 'p.gps_altitude', type: 'number' }
+};
+const SEARCH_HAS = {
+  gps: 'p.gps_latitude IS NOT NULL AND p.gps_longitude IS NOT NULL',
+  caption: "i.vision_caption IS NOT NULL AND i.vision_caption != ''",
+  description: "i.description IS NOT NULL AND i.description != ''",
+  exif: 'p.meural_id IS NOT NULL'
+};
+// Words that only make a query read naturally ("the beach photos from Lisbon")
+const SEARCH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'my', 'of', 'on', 'our', 'the', 'with',
+  'photo', 'photos', 'picture', 'pictures', 'pic', 'pics', 'image', 'images', 'shot', 'shots', 'taken'
+]);
+
+// "2019" -> ['2019-01-01', '2020-01-01']; months and days likewise. The end is exclusive.
+function datePeriod(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const start = new Date(Date.UTC(y, m ? m - 1 : 0, d || 1));
+  if (isNaN(start) || (m && (m < 1 || m > 12))) return null;
+  const end = d ? new Date(Date.UTC(y, m - 1, d + 1)) : m ? new Date(Date.UTC(y, m, 1)) : new Date(Date.UTC(y + 1, 0, 1));
+  const day = date => date.toISOString().slice(0, 10);
+  return [day(start), day(end)];
+}
+
+function searchNumber(value) {
+  const number = parseFloat(String(value).replace(/^f\//i, '').replace(/mm$/i, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// A range filter as SQL: "<35", ">=1600", "2019..2021", "2019..", "50"
+function rangeCondition(field, raw) {
+  const { column, type } = SEARCH_RANGE_FIELDS[field];
+  const parse = type === 'date' ? datePeriod : value => {
+    const number = searchNumber(value);
+    return number == null ? null : [number, number];
+  };
+  const invalid = { error: `${field}: "${raw}" is not a ${type === 'date' ? 'date (YYYY, YYYY-MM or YYYY-MM-DD)' : 'number'}` };
+  // Numbers compare exactly; dates cover their whole period
+  const lower = (bound, inclusive) => type === 'date' ? [`${column} >= ?`, inclusive ? bound[0] : bound[1]] : [`${column} ${inclusive ? '>=' : '>'} ?`, bound[0]];
+  const upper = (bound, inclusive) => type === 'date' ? [`${column} < ?`, inclusive ? bound[1] : bound[0]] : [`${column} ${inclusive ? '<=' : '<'} ?`, bound[0]];
+
+  const conditions = [];
+  const range = /^(.*?)\.\.(.*)$/.exec(raw);
+  if (range) {
+    const [from, to] = [range[1] && parse(range[1]), range[2] && parse(range[2])];
+    if ((range[1] && !from) || (range[2] && !to) || (!range[1] && !range[2])) return invalid;
+    if (from) conditions.push(lower(from, true));
+    if (to) conditions.push(upper(to, true));
+  } else {
+    const [, op = '=', value] = /^(>=|<=|>|<|=)?(.*)$/.exec(raw);
+    const bound = parse(value);
+    if (!bound) return invalid;
+    if (op === '>' || op === '>=') conditions.push(lower(bound, op === '>='));
+    else if (op === '<' || op === '<=') conditions.push(upper(bound, op === '<='));
+    else conditions.push(lower(bound, true), upper(bound, true));
+  }
+  return { sql: conditions.map(([sql]) => sql).join(' AND '), params: conditions.map(([, param]) => param) };
+}
+
+function ftsString(text, prefix) {
+  return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+}
+
+// Parse a search box query into an FTS5 expression, SQL conditions and an
+// optional similar-to item. Returns { error } for a query that can't work.
+function parseSearchQuery(q) {
+  const query = { terms: [], excluded: [], where: [], params: [], filters: [], similar: null };
+  const stopwords = [];
+  const TOKEN = /(-)?(?:([a-z_0-9]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  for (const [token, negate, rawField, quoted, bare] of String(q || '').matchAll(TOKEN)) {
+    let field = rawField?.toLowerCase();
+    let value = quoted ?? bare ?? '';
+    const known = field && (SEARCH_TEXT_FIELDS.includes(field) || SEARCH_RANGE_FIELDS[field] ||
+      ['orientation', 'has', 'playlist', 'similar'].includes(field));
+    if (field && !known) {
+      // Not a filter after all, e.g. "10:30"
+      value = negate ? token.slice(1) : token;
+      field = null;
+    }
+
+    if (!field || SEARCH_TEXT_FIELDS.includes(field)) {
+      if (!/[\p{L}\p{N}]/u.test(value)) continue;
+      const phrase = quoted != null;
+      const expression = (field ? `${field} : ` : '') + ftsString(value, !phrase);
+      if (!field && !phrase && !negate && SEARCH_STOPWORDS.has(value.toLowerCase())) stopwords.push(expression);
+      else (negate ? query.excluded : query.terms).push(expression);
+      continue;
+    }
+
+    let condition;
+    if (SEARCH_RANGE_FIELDS[field]) {
+      condition = rangeCondition(field, value);
+      if (condition.error) return { error: condition.error };
+    } else if (field === 'orientation') {
+      if (!['portrait', 'landscape'].includes(value.toLowerCase())) return { error: 'orientation must be portrait or landscape' };
+      condition = { sql: 'i.orientation = ?', params: [value.toLowerCase()] };
+    } else if (field === 'has') {
+      if (!SEARCH_HAS[value.toLowerCase()]) return { error: `has: must be one of ${Object.keys(SEARCH_HAS).join(', ')}` };
+      condition = { sql: `(${SEARCH_HAS[value.toLowerCase()]})`, params: [] };
+    } else if (field === 'playlist') {
+      condition = {
+        sql: `i.id IN (SELECT gi.item_id FROM gallery_items gi JOIN galleries g ON g.id = gi.gallery_id
+          WHERE g.id = ? OR g.name = ? COLLATE NOCASE)`,
+        params: [parseInt(value) || null, value]
+      };
+    } else if (field === 'similar') {
+      if (negate || !/^\d+$/.test(value)) return { error: 'similar: needs a photo ID' };
+      query.similar = parseInt(value);
+      continue;
+    }
+    query.where.push(negate ? `NOT (${condition.sql})` : condition.sql);
+    query.params.push(...condition.params);
+    query.filters.push(`${negate ? '-' : ''}${field}:${value}`);
+  }
+  // A query of nothing but stopwords ("photos") still searches for them
+  if (!query.terms.length && !query.excluded.length && !query.where.length && !query.similar) query.terms = stopwords;
+  return query;
+}
+
+module.exports = {
+  SEARCH_TEXT_FIELDS,
+  SEARCH_RANGE_FIELDS,
+  SEARCH_HAS,
+  SEARCH_STOPWORDS,
+  datePeriod,
+  rangeCondition,
+  parseSearchQuery
+};
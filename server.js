@@ -3,11 +3,21 @@ const cors = require('cors');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const os = require('os');
+const vm = require('vm');
+const { execFile } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
 const Database = require('better-sqlite3');
 const ExifReader = require('exifreader');
 const Anthropic = require('@anthropic-ai/sdk');
 const sharp = require('sharp');
+const tar = require('tar-stream');
 const { CognitoIdentityProviderClient, InitiateAuthCommand } = require('@aws-sdk/client-cognito-identity-provider');
+const { validateSchedule, createScheduler } = require('./lib/schedules');
+const { SEARCH_TEXT_FIELDS, SEARCH_RANGE_FIELDS, SEARCH_HAS, parseSearchQuery } = require('./lib/search-query');
+const { planImport, importJobGalleries } = require('./lib/library-import');
 require('dotenv').config();
 
 // Initialize Claude client for vision
@@ -15,18 +25,47 @@ const anthropic = process.env.ANTHROPIC_API_KEY ? new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
 }) : null;
 
-// Configure multer for file uploads (100MB limit, will resize before upload)
+// Configure multer for file uploads (100MB limit, will resize before upload).
+// Files stay here until their upload job succeeds, so they survive restarts.
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 const upload = multer({ 
-  dest: '/tmp/meural-uploads/',
+  dest: uploadDir,
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB max per file (will resize)
 });
 
-// Initialize SQLite database for EXIF storage
+// Initialize SQLite database for EXIF storage. The main database also holds
+// the account list; every further Meural account gets a database file of its
+// own, and `db` resolves to the database of the account the request is for.
 const dbPath = path.join(__dirname, 'exif-database.sqlite');
-const db = new Database(dbPath);
+const mainDb = new Database(dbPath);
+const accountContext = new AsyncLocalStorage();
+const accountDbs = new Map();
+
+function currentDb() {
+  const account = accountContext.getStore();
+  return account ? accountDatabase(account) : mainDb;
+}
+
+// Transactions are built per call so module-level ones follow the account too
+const db = new Proxy({}, {
+  get(_, prop) {
+    if (prop === 'transaction') return fn => (...args) => currentDb().transaction(fn)(...args);
+    const target = currentDb();
+    const value = target[prop];
+    return typeof value === 'function' ? value.bind(target) : value;
+  }
+});
+
+// Schema setup runs on the main database at load, and again on each account
+// database when it is first opened
+const migrations = [];
+function migrate(fn) {
+  migrations.push(fn);
+  fn();
+}
 
 // Create tables
-db.exec(`
+migrate(() => db.exec(`
   CREATE TABLE IF NOT EXISTS photos (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     meural_id INTEGER UNIQUE,
@@ -64,7 +103,24 @@ db.exec(`
   
   CREATE INDEX IF NOT EXISTS idx_meural_id ON photos(meural_id);
   CREATE INDEX IF NOT EXISTS idx_date_taken ON photos(date_taken);
-`);
+`));
+
+// Add a column to an existing table (for databases created by older versions)
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!columns.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+migrate(() => {
+  // Perceptual hashes for duplicate detection; exif_source is 'upload' for
+  // photos that went through the manager, 'meural' when read from Meural's copy
+  addColumnIfMissing('photos', 'dhash', 'TEXT');
+  addColumnIfMissing('photos', 'phash', 'TEXT');
+  addColumnIfMissing('photos', 'exif_source', "TEXT DEFAULT 'upload'");
+  // SHA-256 of the file as it was uploaded, so the same file isn't uploaded twice
+  addColumnIfMissing('photos', 'content_hash', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_photos_content_hash ON photos(content_hash)');
+});
 
 // Extract EXIF from image buffer
 function extractExif(buffer, filename) {
@@ -126,185 +182,4951 @@ function extractExif(buffer, filename) {
   }
 }
 
-// Save photo EXIF to database
+// Save photo EXIF to database. An existing row keeps its other columns, and
+// its content_hash unless a new one is given: rereading EXIF (the backfill)
+// has no uploaded file to hash, and watch folders skip files by that hash.
 function savePhotoExif(meuralId, filename, exifData) {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO photos (
+    INSERT INTO photos (
       meural_id, original_filename, date_taken, camera_make, camera_model,
       lens_model, focal_length, focal_length_35mm, aperture, shutter_speed,
-      iso, exposure_compensation, gps_latitude, gps_longitude, gps_altitude,
-      width, height, orientation, color_space, white_balance, exif_json
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      iso, exposure_compensation, gps_latitude, gps_longitude, gps_altitude, location_name,
+      width, height, orientation, color_space, white_balance, exif_json, dhash, phash, exif_source, content_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(meural_id) DO UPDATE SET
+      original_filename = excluded.original_filename, date_taken = excluded.date_taken,
+      camera_make = excluded.camera_make, camera_model = excluded.camera_model, lens_model = excluded.lens_model,
+      focal_length = excluded.focal_length, focal_length_35mm = excluded.focal_length_35mm,
+      aperture = excluded.aperture, shutter_speed = excluded.shutter_speed, iso = excluded.iso,
+      exposure_compensation = excluded.exposure_compensation, gps_latitude = excluded.gps_latitude,
+      gps_longitude = excluded.gps_longitude, gps_altitude = excluded.gps_altitude,
+      location_name = excluded.location_name, width = excluded.width, height = excluded.height,
+      orientation = excluded.orientation, color_space = excluded.color_space,
+      white_balance = excluded.white_balance, exif_json = excluded.exif_json, dhash = excluded.dhash,
+      phash = excluded.phash, exif_source = excluded.exif_source,
+      content_hash = COALESCE(excluded.content_hash, photos.content_hash)
   `);
   
   stmt.run(
     meuralId, filename, exifData.date_taken, exifData.camera_make, exifData.camera_model,
     exifData.lens_model, exifData.focal_length, exifData.focal_length_35mm, exifData.aperture,
     exifData.shutter_speed, exifData.iso, exifData.exposure_compensation,
-    exifData.gps_latitude, exifData.gps_longitude, exifData.gps_altitude,
+    exifData.gps_latitude, exifData.gps_longitude, exifData.gps_altitude, exifData.location_name || null,
     exifData.width, exifData.height, exifData.orientation, exifData.color_space,
-    exifData.white_balance, exifData.exif_json
+    exifData.white_balance, exifData.exif_json, exifData.dhash || null, exifData.phash || null,
+    exifData.exif_source || 'upload', exifData.content_hash || null
   );
 }
 
+// Other sites may only call the API from these origins (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
 const app = express();
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true, exposedHeaders: ['X-Change-Id'] }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Leaflet for the map tab, served locally so the UI needs no CDN
+app.use('/vendor/leaflet', express.static(path.join(path.dirname(require.resolve('leaflet/package.json')), 'dist')));
+
+// Every /api request needs a signed-in user (see Users and sessions)
+app.use('/api', authenticate);
+
+// Changes are recorded in the audit log as the signed-in user
+app.use('/api', auditRequest);
+
+// Routes that aren't about one Meural account
+const UNSCOPED_ROUTES = ['/accounts', '/auth', '/users', '/geocoder'];
+
+// Every other /api request runs as one Meural account: the X-Meural-Account
+// header, ?account= (for links and images), or else the first account
+app.use('/api', (req, res, next) => {
+  if (UNSCOPED_ROUTES.some(route => req.path === route || req.path.startsWith(`${route}/`))) return next();
+  const requested = req.get('x-meural-account') || req.query.account;
+  const account = requested ? getAccount(requested) : defaultAccount();
+  if (!account) {
+    return requested
+      ? res.status(404).json({ error: 'Account not found' })
+      : res.status(503).json({ error: 'No Meural account configured; add one under Accounts' });
+  }
+  req.account = account;
+  accountContext.run(account, next);
+});
 
 const MEURAL_API = 'https://api.meural.com/v0';
 const COGNITO_CLIENT_ID = '487bd4kvb1fnop6mbgk8gu5ibf';
 const COGNITO_REGION = 'eu-west-1';
 
-let authToken = null;
-let tokenExpiry = null;
+// === Accounts ===
+// Each Meural account has its own tokens and library database. The account
+// from .env becomes the first one and keeps the existing database, so
+// single-account installs carry on unchanged. Other accounts keep their
+// password only until the first sign-in; after that the refresh token signs
+// them in, and they ask for the password again once Meural stops accepting it.
 
-// Auth helper using AWS Cognito (new Meural auth method)
-async function getToken() {
-  if (authToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return authToken;
+mainDb.exec(`
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    username TEXT NOT NULL UNIQUE,
+    -- Encrypted, and cleared once a sign-in returns a refresh token
+    password TEXT,
+    -- 1 reads MEURAL_PASSWORD / .meural-password (the .env account)
+    password_from_env INTEGER DEFAULT 0,
+    -- NULL for the account whose library lives in the main database
+    db_file TEXT,
+    access_token TEXT,
+    refresh_token TEXT,
+    token_expires_at INTEGER,
+    last_auth_error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Passwords and tokens are stored with AES-256-GCM under a key that never
+// goes into the database: ACCOUNT_SECRET_KEY, or a .account-secret-key file
+// created next to the server on first start
+const SECRET_PREFIX = 'enc:v1:';
+
+function loadSecretKey() {
+  let source = process.env.ACCOUNT_SECRET_KEY;
+  if (!source) {
+    const keyFile = path.join(__dirname, '.account-secret-key');
+    if (!fs.existsSync(keyFile)) fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    source = fs.readFileSync(keyFile, 'utf8').trim();
   }
-  
-  const username = process.env.MEURAL_USERNAME;
-  // Read password from file to handle special chars like #
-  let password = process.env.MEURAL_PASSWORD;
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+const secretKey = loadSecretKey();
+
+function encryptSecret(value) {
+  if (value == null) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return SECRET_PREFIX + [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+}
+
+// null when the key can't read it (a database from another install); the
+// account then signs in again
+function decryptSecret(value) {
+  if (value == null) return null;
   try {
-    const fs = require('fs');
-    const pwFile = path.join(__dirname, '.meural-password');
-    if (fs.existsSync(pwFile)) {
-      password = fs.readFileSync(pwFile, 'utf8').trim();
+    const [iv, tag, data] = value.slice(SECRET_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Databases from before encryption: the .env account is the one without a
+// stored password, and plaintext secrets get encrypted in place
+if (!mainDb.prepare('PRAGMA table_info(accounts)').all().some(c => c.name === 'password_from_env')) {
+  mainDb.exec('ALTER TABLE accounts ADD COLUMN password_from_env INTEGER DEFAULT 0');
+  mainDb.prepare('UPDATE accounts SET password_from_env = 1 WHERE password IS NULL').run();
+}
+for (const row of mainDb.prepare('SELECT id, password, access_token, refresh_token FROM accounts').all()) {
+  const secure = value => (value == null || value.startsWith(SECRET_PREFIX) ? value : encryptSecret(value));
+  mainDb.prepare('UPDATE accounts SET password = ?, access_token = ?, refresh_token = ? WHERE id = ?')
+    .run(row.refresh_token ? null : secure(row.password), secure(row.access_token), secure(row.refresh_token), row.id);
+}
+
+if (process.env.MEURAL_USERNAME && !mainDb.prepare('SELECT 1 FROM accounts LIMIT 1').get()) {
+  mainDb.prepare('INSERT INTO accounts (name, username, password_from_env) VALUES (?, ?, 1)').run(process.env.MEURAL_USERNAME, process.env.MEURAL_USERNAME);
+}
+
+// Refresh tokens this long before Cognito says they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const cognito = new CognitoIdentityProviderClient({ region: COGNITO_REGION });
+const tokenRequests = new Map();
+
+function getAccount(id) {
+  return mainDb.prepare('SELECT * FROM accounts WHERE id = ?').get(id) || null;
+}
+
+function listAccounts() {
+  return mainDb.prepare('SELECT * FROM accounts ORDER BY id').all();
+}
+
+function defaultAccount() {
+  return mainDb.prepare('SELECT * FROM accounts ORDER BY id LIMIT 1').get() || null;
+}
+
+// The account the current request or background task runs as
+function currentAccount() {
+  return accountContext.getStore() || defaultAccount();
+}
+
+// Open an account's database, creating its tables the first time
+function accountDatabase(account) {
+  if (!account.db_file) return mainDb;
+  let database = accountDbs.get(account.id);
+  if (!database) {
+    database = new Database(path.join(__dirname, account.db_file));
+    accountDbs.set(account.id, database);
+    accountContext.run(account, () => migrations.forEach(fn => fn()));
+  }
+  return database;
+}
+
+// Run fn once per account, inside that account's context (timers, startup)
+function forEachAccount(fn) {
+  for (const account of listAccounts()) {
+    accountContext.run(account, () => {
+      try {
+        fn(account);
+      } catch (err) {
+        console.error(`Account ${account.name}: ${err.message}`);
+      }
+    });
+  }
+}
+
+// Never send credentials or tokens to the browser
+function publicAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    username: account.username,
+    primary: !account.db_file,
+    password_from_env: !!account.password_from_env,
+    signed_in: !!account.access_token && account.token_expires_at > Date.now(),
+    token_expires_at: account.token_expires_at ? new Date(account.token_expires_at).toISOString() : null,
+    last_auth_error: account.last_auth_error,
+    created_at: account.created_at
+  };
+}
+
+function accountPassword(account) {
+  if (!account.password_from_env) return decryptSecret(account.password);
+  // Read password from file to handle special chars like #
+  const pwFile = path.join(__dirname, '.meural-password');
+  if (fs.existsSync(pwFile)) return fs.readFileSync(pwFile, 'utf8').trim();
+  return process.env.MEURAL_PASSWORD;
+}
+
+// Sign in with AWS Cognito (new Meural auth method): the refresh token when
+// we have one, the password otherwise or when the refresh token is rejected
+async function authenticateAccount(account) {
+  let result = null;
+  const refreshToken = decryptSecret(account.refresh_token);
+  if (refreshToken) {
+    try {
+      const response = await cognito.send(new InitiateAuthCommand({
+        ClientId: COGNITO_CLIENT_ID,
+        AuthFlow: 'REFRESH_TOKEN_AUTH',
+        AuthParameters: { REFRESH_TOKEN: refreshToken }
+      }));
+      result = response.AuthenticationResult;
+    } catch (err) {
+      console.warn(`Token refresh for ${account.username} failed (${err.message}), signing in again`);
     }
-  } catch (e) {}
-  
-  if (!username || !password) {
-    throw new Error('MEURAL_USERNAME and MEURAL_PASSWORD must be set in .env');
   }
-  
-  const client = new CognitoIdentityProviderClient({ region: COGNITO_REGION });
-  
-  const command = new InitiateAuthCommand({
-    ClientId: COGNITO_CLIENT_ID,
-    AuthFlow: 'USER_PASSWORD_AUTH',
-    AuthParameters: {
-      USERNAME: username,
-      PASSWORD: password,
-    },
+
+  if (!result?.AccessToken) {
+    const password = accountPassword(account);
+    if (!password) {
+      const message = account.password_from_env
+        ? `No password in .env or .meural-password for ${account.username}`
+        : `The Meural sign-in for ${account.username} has expired; enter its password again`;
+      mainDb.prepare('UPDATE accounts SET access_token = NULL, refresh_token = NULL, last_auth_error = ? WHERE id = ?').run(message, account.id);
+      throw new Error(message);
+    }
+    try {
+      const response = await cognito.send(new InitiateAuthCommand({
+        ClientId: COGNITO_CLIENT_ID,
+        AuthFlow: 'USER_PASSWORD_AUTH',
+        AuthParameters: {
+          USERNAME: account.username,
+          PASSWORD: password,
+        },
+      }));
+      result = response.AuthenticationResult;
+      if (!result?.AccessToken) throw new Error('Authentication failed: ' + JSON.stringify(response));
+    } catch (err) {
+      mainDb.prepare('UPDATE accounts SET access_token = NULL, refresh_token = NULL, last_auth_error = ? WHERE id = ?').run(err.message, account.id);
+      throw err;
+    }
+  }
+
+  // Refreshing doesn't return a new refresh token; keep the one we have.
+  // Once there is one, a stored password is no longer needed.
+  mainDb.prepare(`
+    UPDATE accounts SET access_token = ?, refresh_token = COALESCE(?, refresh_token),
+      password = CASE WHEN COALESCE(?, refresh_token) IS NULL THEN password END,
+      token_expires_at = ?, last_auth_error = NULL
+    WHERE id = ?
+  `).run(
+    encryptSecret(result.AccessToken), encryptSecret(result.RefreshToken), encryptSecret(result.RefreshToken),
+    Date.now() + (result.ExpiresIn || 3600) * 1000, account.id
+  );
+  return result.AccessToken;
+}
+
+// Access token for the current account. Concurrent callers share one sign-in.
+async function getToken() {
+  const current = currentAccount();
+  if (!current) throw new Error('No Meural account configured; add one under Accounts');
+  const account = getAccount(current.id);
+  if (!account) throw new Error('Account not found');
+  const accessToken = decryptSecret(account.access_token);
+  if (accessToken && account.token_expires_at > Date.now() + TOKEN_REFRESH_MARGIN_MS) {
+    return accessToken;
+  }
+
+  if (!tokenRequests.has(account.id)) {
+    tokenRequests.set(account.id, authenticateAccount(account).finally(() => tokenRequests.delete(account.id)));
+  }
+  return tokenRequests.get(account.id);
+}
+
+// Meural rejected this token (401): forget it so the next getToken signs in
+// again, unless another request has already replaced it
+function expireToken(token) {
+  const account = getAccount(currentAccount()?.id);
+  if (account && decryptSecret(account.access_token) === token) {
+    mainDb.prepare('UPDATE accounts SET token_expires_at = 0 WHERE id = ?').run(account.id);
+  }
+}
+
+// === Users and sessions ===
+// People sign in to the web UI with users stored in the main database
+// (scrypt password hashes). A session is an HttpOnly cookie holding a random
+// token; only its hash is stored. Roles build on each other: a viewer
+// browses, a curator also uploads and edits playlists, and an admin also
+// deletes photos and manages settings, accounts and users.
+
+mainDb.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+`);
+
+const ROLES = ['viewer', 'curator', 'admin'];
+const SESSION_COOKIE = 'mm_session';
+const SESSION_DAYS = parseFloat(process.env.SESSION_DAYS) || 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, created_at: user.created_at, last_login_at: user.last_login_at };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+function sessionUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+  return mainDb.prepare(`
+    SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+    WHERE sessions.token_hash = ? AND sessions.expires_at > datetime('now')
+  `).get(sha256(token)) || null;
+}
+
+function startSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  mainDb.prepare("INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))")
+    .run(sha256(token), user.id, `+${SESSION_DAYS} days`);
+  mainDb.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+  mainDb.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000
   });
-  
-  const response = await client.send(command);
-  
-  if (!response.AuthenticationResult?.AccessToken) {
-    throw new Error('Authentication failed: ' + JSON.stringify(response));
+}
+
+// Browsers send cookies to any port on this host, so a mutating request must
+// come from this page or an allowed origin
+function sameOrigin(req) {
+  const origin = req.get('origin');
+  if (!origin || CORS_ORIGINS.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (err) {
+    return false;
+  }
+}
+
+// /api/auth is open; everything else needs a session
+function authenticate(req, res, next) {
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !sameOrigin(req)) {
+    return res.status(403).json({ error: 'Cross-origin request refused' });
+  }
+  if (req.path === '/auth' || req.path.startsWith('/auth/')) return next();
+  req.user = sessionUser(req);
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  next();
+}
+
+// Route guard for anything that changes state
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `This needs the ${role} role` });
+    next();
+  };
+}
+
+function validateUserFields({ username, password, role }, { partial = false } = {}) {
+  if (!partial && !username?.trim()) return 'username is required';
+  if ((!partial || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+  return null;
+}
+
+function adminCount() {
+  return mainDb.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'").get().count;
+}
+
+// === Audit log ===
+// Every change made through the manager is appended to audit_log in the main
+// database: who (a user, or the scheduler, a watch folder, ...), when, what,
+// the IDs involved and the values before and after. Triggers keep it
+// append-only. Operations with a specific entry record it themselves; any
+// other successful mutating request is recorded as a plain 'request' entry.
+
+mainDb.exec(`
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT DEFAULT CURRENT_TIMESTAMP,
+    -- NULL for changes that aren't about one account (users, accounts)
+    account_id INTEGER,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    -- e.g. 'item:123', 'gallery:45', 'schedule:3'
+    target TEXT,
+    item_id INTEGER,
+    gallery_id INTEGER,
+    device_id INTEGER,
+    before_json TEXT,
+    after_json TEXT,
+    -- the API request that caused it, e.g. 'PUT /api/items/123'
+    request TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_account ON audit_log(account_id, id);
+  CREATE INDEX IF NOT EXISTS idx_audit_item ON audit_log(item_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_gallery ON audit_log(gallery_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_device ON audit_log(device_id);
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+`);
+
+// Entries written by the same request, job or timer run share a change_id,
+// which is what /api/undo/:changeId reverses
+addColumnIfMissing('audit_log', 'change_id', 'TEXT');
+mainDb.exec('CREATE INDEX IF NOT EXISTS idx_audit_change ON audit_log(change_id)');
+
+// Requests that change nothing, or whose effect isn't worth an entry
+// (uploads record an entry per photo instead)
+const AUDIT_SKIP_ROUTES = [
+  '/api/smart-playlists/preview', '/api/fit/preview', '/api/items/bulk-edit/preview', '/api/playlist-operations/preview', '/api/duplicates/check', '/api/sync',
+  '/api/items/upload', '/api/items/upload-stream'
+];
+
+const auditContext = new AsyncLocalStorage();
+
+function currentActor() {
+  return auditContext.getStore()?.actor || 'system';
+}
+
+function newChangeId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Run fn as someone other than the current request (jobs, timers)
+function asActor(actor, fn, request = null, changeId = newChangeId()) {
+  return auditContext.run({ actor, request, change_id: changeId }, fn);
+}
+
+// Passwords and tokens never go into the log
+function redactSecrets(value) {
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, /password|token/i.test(key) ? '[redacted]' : redactSecrets(v)]));
+}
+
+function recordAudit(action, { target = null, item_id = null, gallery_id = null, device_id = null, before, after, account_id } = {}) {
+  const store = auditContext.getStore();
+  if (store) store.recorded = true;
+  // Let the client offer an undo for what this request changed
+  if (store?.res && !store.res.headersSent) store.res.set('X-Change-Id', store.change_id);
+  const accountId = account_id !== undefined ? account_id : accountContext.getStore()?.id ?? null;
+  mainDb.prepare(`
+    INSERT INTO audit_log (account_id, actor, action, target, item_id, gallery_id, device_id, before_json, after_json, request, change_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    accountId, currentActor(), action, target, item_id, gallery_id, device_id,
+    before === undefined ? null : JSON.stringify(redactSecrets(before)),
+    after === undefined ? null : JSON.stringify(redactSecrets(after)),
+    store?.request || null, store?.change_id || null
+  );
+}
+
+// What an item looked like, for before/after values
+function itemSnapshot(id) {
+  const row = db.prepare('SELECT name, description, year, medium, data_json FROM items WHERE id = ?').get(id);
+  if (!row) return null;
+  const { data_json, ...fields } = row;
+  const galleries = db.prepare('SELECT gallery_id FROM gallery_items WHERE item_id = ? ORDER BY gallery_id').all(id).map(r => r.gallery_id);
+  return { ...fields, author: JSON.parse(data_json).author ?? null, galleries };
+}
+
+function auditRequest(req, res, next) {
+  if (!req.user || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  const route = `${req.baseUrl}${req.path}`;
+  const store = { actor: req.user.username, request: `${req.method} ${route}`, change_id: newChangeId(), res, recorded: false };
+  res.on('finish', () => {
+    if (store.recorded || res.statusCode >= 400 || AUDIT_SKIP_ROUTES.includes(route)) return;
+    auditContext.run(store, () => recordAudit('request', {
+      account_id: req.account?.id ?? null,
+      after: Object.keys(req.body || {}).length ? req.body : undefined
+    }));
+  });
+  auditContext.run(store, next);
+}
+
+// Every call to the Meural API goes through meuralFetch: at most
+// MEURAL_MAX_CONCURRENCY requests in flight, and rate limits (429) are retried
+// with exponential backoff, honoring Retry-After when Meural sends it. Gateway
+// errors and network failures are retried only for idempotent methods: a POST
+// that timed out may still have uploaded or created something, so it fails and
+// the job reconciles with Meural before trying again.
+const MEURAL_MAX_CONCURRENCY = parseInt(process.env.MEURAL_MAX_CONCURRENCY) || 4;
+const MEURAL_MAX_RETRIES = parseInt(process.env.MEURAL_MAX_RETRIES ?? '5');
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+const RETRY_AFTER_MAX_MS = 5 * 60 * 1000;
+const GATEWAY_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+let meuralInFlight = 0;
+const meuralQueue = [];
+
+function acquireMeuralSlot() {
+  if (meuralInFlight < MEURAL_MAX_CONCURRENCY) {
+    meuralInFlight++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => meuralQueue.push(resolve));
+}
+
+function releaseMeuralSlot() {
+  const next = meuralQueue.shift();
+  if (next) next();
+  else meuralInFlight--;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return null;
+  const ms = /^\d+(\.\d+)?$/.test(value.trim()) ? parseFloat(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), RETRY_AFTER_MAX_MS) : null;
+}
+
+// fetch() for Meural with the shared concurrency limit and backoff.
+// onRetry({ attempt, delay_ms, reason }) is called before each retry.
+async function meuralFetch(url, opts = {}, { onRetry } = {}) {
+  const idempotent = IDEMPOTENT_METHODS.includes((opts.method || 'GET').toUpperCase());
+  for (let attempt = 0; ; attempt++) {
+    let response = null, error = null;
+    await acquireMeuralSlot();
+    try {
+      response = await fetch(url, opts);
+    } catch (err) {
+      error = err;
+    } finally {
+      releaseMeuralSlot();
+    }
+
+    const retryable = response?.status === 429 || (idempotent && (error || GATEWAY_STATUSES.includes(response.status)));
+    if (!retryable || attempt >= MEURAL_MAX_RETRIES) {
+      if (error) throw error;
+      return response;
+    }
+
+    const backoff = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS) * (0.5 + Math.random() / 2);
+    const delay = retryAfterMs(response?.headers.get('retry-after')) ?? Math.round(backoff);
+    const reason = error ? error.message : `HTTP ${response.status}`;
+    console.warn(`Meural ${opts.method || 'GET'} ${url.replace(MEURAL_API, '')} failed (${reason}), retry ${attempt + 1}/${MEURAL_MAX_RETRIES} in ${delay}ms`);
+    if (onRetry) onRetry({ attempt: attempt + 1, delay_ms: delay, reason });
+    await new Promise(r => setTimeout(r, delay));
+  }
+}
+
+// meuralFetch() for an API path as the current account. A 401 means the token
+// was revoked or expired early, so sign in again and retry once.
+async function meuralAuthFetch(apiPath, opts = {}, retryOpts) {
+  for (let attempt = 0; ; attempt++) {
+    const token = await getToken();
+    const response = await meuralFetch(`${MEURAL_API}${apiPath}`, {
+      ...opts,
+      headers: { ...opts.headers, 'Authorization': `Token ${token}` }
+    }, retryOpts);
+    if (response.status !== 401 || attempt > 0) return response;
+    expireToken(token);
   }
-  
-  authToken = response.AuthenticationResult.AccessToken;
-  tokenExpiry = Date.now() + 3600000; // 1 hour
-  return authToken;
 }
 
 // Meural API proxy
 async function meuralRequest(method, path, body = null) {
-  const token = await getToken();
   const opts = {
     method,
-    headers: {
-      'Authorization': `Token ${token}`,
-      'Content-Type': 'application/json'
-    }
+    headers: { 'Content-Type': 'application/json' }
   };
   if (body) opts.body = JSON.stringify(body);
   
-  const res = await fetch(`${MEURAL_API}${path}`, opts);
-  return res.json();
-}
-
-// === API Routes ===
-
-// Get user info (includes storage)
-app.get('/api/user', async (req, res) => {
+  const res = await meuralAuthFetch(path, opts);
+  const text = await res.text();
   try {
-    const data = await meuralRequest('GET', '/user');
-    res.json(data);
+    return JSON.parse(text);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    throw new Error(`Meural API returned non-JSON for ${method} ${path} (HTTP ${res.status})`);
   }
-});
+}
 
-// Get all user items (photos) with pagination
-app.get('/api/items', async (req, res) => {
-  try {
-    const page = req.query.page || 1;
-    const count = req.query.count || 100;
-    const data = await meuralRequest('GET', `/user/items?page=${page}&count=${count}`);
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Fetch every page of a paginated Meural list endpoint
+async function fetchAllPages(basePath, perPage = 100) {
+  let all = [];
+  let page = 1;
+  const sep = basePath.includes('?') ? '&' : '?';
+  while (true) {
+    const data = await meuralRequest('GET', `${basePath}${sep}page=${page}&count=${perPage}`);
+    if (!Array.isArray(data.data)) {
+      throw new Error(`Unexpected response from ${basePath}: ${JSON.stringify(data).substring(0, 200)}`);
+    }
+    all = all.concat(data.data);
+    if (data.data.length < perPage || data.isLast) break;
+    page++;
   }
-});
+  return all;
+}
 
-// Upload items (photos)
-// Upload a single photo to Meural (shared helper)
-async function uploadSinglePhoto(file, token, totalFiles) {
-  let fileBuffer = fs.readFileSync(file.path);
-  const exifData = extractExif(fileBuffer, file.originalname);
-  const resizeResult = await resizeIfNeeded(fileBuffer, file.originalname);
-  fileBuffer = resizeResult.buffer;
+// === Library mirror ===
+// Items, galleries, gallery membership and devices are mirrored into SQLite so
+// the UI is served locally instead of paging through the Meural API each load.
 
-  const mimeType = resizeResult.resized ? 'image/jpeg' : file.mimetype;
-  const blob = new Blob([fileBuffer], { type: mimeType });
-  const form = new FormData();
-  form.append('image', blob, file.originalname);
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY,
+    name TEXT,
+    description TEXT,
+    year TEXT,
+    medium TEXT,
+    orientation TEXT,
+    original_width INTEGER,
+    original_height INTEGER,
+    created_at TEXT,
+    updated_at TEXT,
+    data_json TEXT NOT NULL,
+    -- 0 for items that are only known as members of a gallery (e.g. Meural art)
+    owned INTEGER DEFAULT 1,
+    synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
 
-  const response = await fetch(`${MEURAL_API}/items`, {
-    method: 'POST',
-    headers: { 'Authorization': `Token ${token}` },
-    body: form
-  });
+  CREATE TABLE IF NOT EXISTS galleries (
+    id INTEGER PRIMARY KEY,
+    name TEXT,
+    item_count INTEGER,
+    updated_at TEXT,
+    data_json TEXT NOT NULL,
+    members_synced_signature TEXT,
+    synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
 
-  const responseText = await response.text();
-  let data;
-  try {
-    data = JSON.parse(responseText);
-  } catch (parseErr) {
-    console.error(`Upload failed for ${file.originalname}: HTTP ${response.status}, body: ${responseText.substring(0, 300)}`);
-    throw new Error(`Meural API returned non-JSON (HTTP ${response.status}).`);
+  CREATE TABLE IF NOT EXISTS gallery_items (
+    gallery_id INTEGER NOT NULL,
+    item_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (gallery_id, item_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS devices (
+    id INTEGER PRIMARY KEY,
+    alias TEXT,
+    status TEXT,
+    orientation TEXT,
+    data_json TEXT NOT NULL,
+    synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trigger TEXT,
+    full INTEGER DEFAULT 0,
+    status TEXT,
+    started_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    finished_at TEXT,
+    items_added INTEGER DEFAULT 0,
+    items_updated INTEGER DEFAULT 0,
+    items_removed INTEGER DEFAULT 0,
+    galleries_refreshed INTEGER DEFAULT 0,
+    devices INTEGER DEFAULT 0,
+    error TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_gallery_items_item ON gallery_items(item_id);
+  CREATE INDEX IF NOT EXISTS idx_items_created_at ON items(created_at);
+`));
+
+const SYNC_INTERVAL_MINUTES = parseFloat(process.env.SYNC_INTERVAL_MINUTES ?? '15');
+const syncsInFlight = new Map();
+
+// Upsert a Meural item into the mirror, returns 'added', 'updated' or null
+function mirrorItem(item, owned = true) {
+  const json = JSON.stringify(item);
+  const existing = db.prepare('SELECT data_json, owned FROM items WHERE id = ?').get(item.id);
+  if (existing && existing.data_json === json && !!existing.owned === owned) return null;
+
+  db.prepare(`
+    INSERT INTO items (id, name, description, year, medium, orientation, original_width,
+      original_height, created_at, updated_at, data_json, owned, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, description = excluded.description, year = excluded.year,
+      medium = excluded.medium, orientation = excluded.orientation,
+      original_width = excluded.original_width, original_height = excluded.original_height,
+      created_at = excluded.created_at, updated_at = excluded.updated_at,
+      data_json = excluded.data_json, owned = excluded.owned, synced_at = CURRENT_TIMESTAMP
+  `).run(
+    item.id, item.name || null, item.description || null, item.year != null ? String(item.year) : null,
+    item.medium || null, item.orientation || null, item.originalWidth || null, item.originalHeight || null,
+    item.createdAt || null, item.updatedAt || null, json, owned ? 1 : 0
+  );
+  return existing && existing.owned ? 'updated' : 'added';
+}
+
+// Merge changed fields into a mirrored item (after a local PUT)
+function patchMirroredItem(id, fields) {
+  const row = db.prepare('SELECT data_json, owned FROM items WHERE id = ?').get(id);
+  if (!row) return;
+  mirrorItem({ ...JSON.parse(row.data_json), ...fields }, !!row.owned);
+}
+
+// Drop an item and its memberships from the mirror
+function forgetItem(id) {
+  db.prepare('DELETE FROM gallery_items WHERE item_id = ?').run(id);
+  db.prepare('DELETE FROM items WHERE id = ?').run(id);
+}
+
+function mirrorGallery(gallery) {
+  db.prepare(`
+    INSERT INTO galleries (id, name, item_count, updated_at, data_json, synced_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, item_count = excluded.item_count, updated_at = excluded.updated_at,
+      data_json = excluded.data_json, synced_at = CURRENT_TIMESTAMP
+  `).run(gallery.id, gallery.name || null, gallery.itemCount ?? null, gallery.updatedAt || null, JSON.stringify(gallery));
+}
+
+function forgetGallery(id) {
+  db.prepare('DELETE FROM smart_playlists WHERE gallery_id = ?').run(id);
+  db.prepare('DELETE FROM playlist_orders WHERE gallery_id = ?').run(id);
+  db.prepare('DELETE FROM gallery_items WHERE gallery_id = ?').run(id);
+  db.prepare('DELETE FROM galleries WHERE id = ?').run(id);
+}
+
+// Replace a gallery's mirrored membership with the given ordered item IDs
+const replaceGalleryMembers = db.transaction((galleryId, itemIds, signature) => {
+  db.prepare('DELETE FROM gallery_items WHERE gallery_id = ?').run(galleryId);
+  const insert = db.prepare('INSERT OR IGNORE INTO gallery_items (gallery_id, item_id, position) VALUES (?, ?, ?)');
+  itemIds.forEach((itemId, i) => insert.run(galleryId, itemId, i));
+  db.prepare('UPDATE galleries SET members_synced_signature = ? WHERE id = ?').run(signature, galleryId);
+});
+
+// Record a single membership change made through the manager
+function mirrorMembership(galleryId, itemId, present) {
+  let changes;
+  if (present) {
+    const { next } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM gallery_items WHERE gallery_id = ?').get(galleryId);
+    ({ changes } = db.prepare('INSERT OR IGNORE INTO gallery_items (gallery_id, item_id, position) VALUES (?, ?, ?)').run(galleryId, itemId, next));
+  } else {
+    ({ changes } = db.prepare('DELETE FROM gallery_items WHERE gallery_id = ? AND item_id = ?').run(galleryId, itemId));
   }
+  if (changes) {
+    recordAudit(present ? 'gallery.add_item' : 'gallery.remove_item', { target: `gallery:${galleryId}`, gallery_id: galleryId, item_id: itemId });
+  }
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM gallery_items WHERE gallery_id = ?').get(galleryId);
+  const row = db.prepare('SELECT data_json FROM galleries WHERE id = ?').get(galleryId);
+  if (row) mirrorGallery({ ...JSON.parse(row.data_json), itemCount: count });
+}
 
-  let location = null;
-  let smartDescription = null;
-  let visionCaption = null;
+function mirrorDevice(device) {
+  db.prepare(`
+    INSERT INTO devices (id, alias, status, orientation, data_json, synced_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      alias = excluded.alias, status = excluded.status, orientation = excluded.orientation,
+      data_json = excluded.data_json, synced_at = CURRENT_TIMESTAMP
+  `).run(device.id, device.alias || device.name || null, device.status || null, device.orientation || null, JSON.stringify(device));
+}
 
-  if (response.ok && data.data?.id) {
-    if (exifData.gps_latitude && exifData.gps_longitude) {
-      location = await reverseGeocode(exifData.gps_latitude, exifData.gps_longitude);
-      if (location) exifData.location_name = location.display_name;
+// A gallery's membership only needs refetching when this changes
+function gallerySignature(gallery) {
+  return `${gallery.itemCount ?? ''}|${gallery.updatedAt ?? ''}`;
+}
+
+async function syncDevices() {
+  const devices = await fetchAllPages('/user/devices');
+  db.transaction(() => {
+    const seen = new Set(devices.map(d => d.id));
+    devices.forEach(mirrorDevice);
+    for (const { id } of db.prepare('SELECT id FROM devices').all()) {
+      if (!seen.has(id)) db.prepare('DELETE FROM devices WHERE id = ?').run(id);
     }
+  })();
+  return devices.length;
+}
 
-    if (totalFiles <= 5) {
-      visionCaption = await analyzeImageWithVision(fileBuffer, file.mimetype);
-      smartDescription = await generateSmartDescription(exifData, location, visionCaption);
-      if (smartDescription) {
-        try {
-          await meuralRequest('PUT', `/items/${data.data.id}`, { name: smartDescription, description: smartDescription });
-        } catch (e) { console.error('Failed to apply description:', e.message); }
+async function runLibrarySync(runId, full) {
+  const counts = { items_added: 0, items_updated: 0, items_removed: 0, galleries_refreshed: 0, devices: 0 };
+
+  // Items: upsert what changed, drop what is gone
+  const items = await fetchAllPages('/user/items');
+  db.transaction(() => {
+    const seen = new Set();
+    for (const item of items) {
+      seen.add(item.id);
+      const change = mirrorItem(item);
+      if (change === 'added') counts.items_added++;
+      if (change === 'updated') counts.items_updated++;
+    }
+    for (const { id } of db.prepare('SELECT id FROM items WHERE owned = 1').all()) {
+      if (!seen.has(id)) {
+        forgetItem(id);
+        counts.items_removed++;
       }
     }
+  })();
 
-    savePhotoExif(data.data.id, file.originalname, exifData);
+  // Galleries: only refetch membership for galleries that changed
+  const galleries = await fetchAllPages('/user/galleries');
+  const previous = {};
+  db.prepare('SELECT id, members_synced_signature FROM galleries').all()
+    .forEach(r => { previous[r.id] = r.members_synced_signature; });
+
+  db.transaction(() => {
+    const seen = new Set(galleries.map(g => g.id));
+    galleries.forEach(mirrorGallery);
+    for (const { id } of db.prepare('SELECT id FROM galleries').all()) {
+      if (!seen.has(id)) forgetGallery(id);
+    }
+  })();
+
+  for (const gallery of galleries) {
+    const signature = gallerySignature(gallery);
+    if (!full && previous[gallery.id] === signature) continue;
+    const members = await fetchAllPages(`/galleries/${gallery.id}/items`);
+    for (const member of members) {
+      if (!db.prepare('SELECT 1 FROM items WHERE id = ?').get(member.id)) mirrorItem(member, false);
+    }
+    replaceGalleryMembers(gallery.id, members.map(m => m.id), signature);
+    counts.galleries_refreshed++;
   }
+  db.prepare('DELETE FROM items WHERE owned = 0 AND id NOT IN (SELECT item_id FROM gallery_items)').run();
 
-  fs.unlinkSync(file.path);
+  counts.devices = await syncDevices();
 
-  return {
-    filename: file.originalname,
-    success: response.ok,
-    meural_id: response.ok ? data.data?.id : null,
-    resized: resizeResult.resized ? {
-      from: `${(resizeResult.originalSize / 1024 / 1024).toFixed(1)}MB`,
-      to: `${(resizeResult.newSize / 1024 / 1024).toFixed(1)}MB`,
-      dimensions: resizeResult.dimensions
+  db.prepare(`
+    UPDATE sync_runs SET status = 'completed', finished_at = CURRENT_TIMESTAMP,
+      items_added = ?, items_updated = ?, items_removed = ?, galleries_refreshed = ?, devices = ?
+    WHERE id = ?
+  `).run(counts.items_added, counts.items_updated, counts.items_removed, counts.galleries_refreshed, counts.devices, runId);
+
+  return counts;
+}
+
+// Sync the mirror with Meural. Concurrent callers share the in-flight run.
+function syncLibrary({ full = false, trigger = 'manual' } = {}) {
+  const accountId = currentAccount().id;
+  if (syncsInFlight.has(accountId)) return syncsInFlight.get(accountId);
+
+  const runId = db.prepare("INSERT INTO sync_runs (trigger, full, status) VALUES (?, ?, 'running')")
+    .run(trigger, full ? 1 : 0).lastInsertRowid;
+  console.log(`Library sync started (${trigger}${full ? ', full' : ''})`);
+
+  const run = runLibrarySync(runId, full)
+    .then(counts => {
+      console.log('Library sync completed:', counts);
+      syncAllSmartPlaylists('sync').catch(() => {});
+      return counts;
+    })
+    .catch(err => {
+      console.error('Library sync failed:', err.message);
+      db.prepare("UPDATE sync_runs SET status = 'failed', finished_at = CURRENT_TIMESTAMP, error = ? WHERE id = ?")
+        .run(err.message, runId);
+      throw err;
+    })
+    .finally(() => { syncsInFlight.delete(accountId); });
+
+  syncsInFlight.set(accountId, run);
+  return run;
+}
+
+// Make sure the mirror has been populated at least once before serving from it
+async function ensureMirror() {
+  const done = db.prepare("SELECT id FROM sync_runs WHERE status = 'completed' LIMIT 1").get();
+  if (!done) await syncLibrary({ trigger: 'initial' });
+}
+
+function startSyncTimer() {
+  // Runs marked 'running' were interrupted by a restart
+  forEachAccount(() => {
+    db.prepare("UPDATE sync_runs SET status = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE status = 'running'").run();
+  });
+
+  if (!(SYNC_INTERVAL_MINUTES > 0)) return;
+  forEachAccount(() => syncLibrary({ trigger: 'startup' }).catch(() => {}));
+  setInterval(() => {
+    forEachAccount(() => syncLibrary({ trigger: 'timer' }).catch(() => {}));
+  }, SYNC_INTERVAL_MINUTES * 60 * 1000);
+}
+
+function parseRow(row) {
+  return JSON.parse(row.data_json);
+}
+
+// === Background jobs ===
+// Bulk operations run as persistent jobs: each job's per-item state lives in
+// SQLite so progress survives closed tabs and server restarts.
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    params_json TEXT,
+    total INTEGER DEFAULT 0,
+    succeeded INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    started_at TEXT,
+    finished_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS job_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    target TEXT NOT NULL,
+    payload_json TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    result_json TEXT,
+    error TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+  CREATE INDEX IF NOT EXISTS idx_job_items_job ON job_items(job_id, status);
+`));
+
+// Who queued the job, so its changes are audited as them
+migrate(() => addColumnIfMissing('jobs', 'created_by', 'TEXT'));
+
+const EventEmitter = require('events');
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Job types. processItem(target, payload, job, item) returns the item's result
+// or throws. item is the job_items row; see mayHaveApplied() for retries.
+// role is what it takes to start the job (curator unless set), and so to retry it.
+// replan(job), when set, returns the items a retry runs instead of the failed ones.
+const jobHandlers = {
+  'bulk-delete': {
+    role: 'admin',
+    async processItem(target, payload, job) {
+      const id = parseInt(target);
+      if (!job.params.permanent) return trashItem(id);
+      await deleteItem(id);
+      return { id, success: true };
+    }
+  },
+
+  'bulk-analyze': {
+    delayMs: 500, // avoid rate limits
+    async processItem(target, payload, job) {
+      return analyzeItem(parseInt(target), job.params.apply === true, job.params.gallery_id || null, { refresh: job.params.refresh === true });
+    }
+  },
+
+  'upload': {
+    concurrency: 4,
+    async processItem(target, file, job, item) {
+      if (!fs.existsSync(file.path)) throw new Error('The uploaded file is no longer on disk; add it again');
+      const result = await uploadSinglePhoto(file, job.total, {
+        reconcile: mayHaveApplied(item),
+        onRetry: info => jobEvents.emit('retry', { job, target, ...info })
+      });
+      if (!result.success) {
+        const err = new Error(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+        err.result = result;
+        throw err;
+      }
+      return result;
+    },
+    async onFinish(job) {
+      if (job.succeeded > 0) await syncAllSmartPlaylists('upload');
+    }
+  }
+};
+
+// Create a job with one row per target. items: [{ target, payload }]
+function enqueueJob(type, items, params = {}) {
+  if (!jobHandlers[type]) throw new Error(`Unknown job type: ${type}`);
+
+  const jobId = db.transaction(() => {
+    const id = db.prepare('INSERT INTO jobs (type, params_json, total, created_by) VALUES (?, ?, ?, ?)')
+      .run(type, JSON.stringify(params), items.length, currentActor()).lastInsertRowid;
+    const insert = db.prepare('INSERT INTO job_items (job_id, position, target, payload_json) VALUES (?, ?, ?, ?)');
+    items.forEach((item, i) => insert.run(id, i, String(item.target), item.payload ? JSON.stringify(item.payload) : null));
+    return id;
+  })();
+
+  kickJobWorker();
+  return getJob(jobId);
+}
+
+function getJob(id) {
+  const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+  if (!job) return null;
+  const { params_json, ...rest } = job;
+  // Job IDs are per account database; account_id tells events apart
+  return { ...rest, account_id: currentAccount().id, params: params_json ? JSON.parse(params_json) : {} };
+}
+
+function getJobItems(jobId) {
+  return db.prepare('SELECT * FROM job_items WHERE job_id = ? ORDER BY position').all(jobId).map(({ payload_json, result_json, ...item }) => ({
+    ...item,
+    result: result_json ? JSON.parse(result_json) : null
+  }));
+}
+
+function refreshJobCounts(jobId) {
+  db.prepare(`
+    UPDATE jobs SET
+      succeeded = (SELECT COUNT(*) FROM job_items WHERE job_id = jobs.id AND status = 'succeeded'),
+      failed = (SELECT COUNT(*) FROM job_items WHERE job_id = jobs.id AND status = 'failed')
+    WHERE id = ?
+  `).run(jobId);
+}
+
+// Whether an item's last attempt may have changed something on Meural before
+// it failed: it was cut off, or threw without a result saying it didn't.
+// Handlers check Meural before repeating a create when this is true.
+function mayHaveApplied(item) {
+  if (!item.attempts) return false;
+  const result = item.result_json ? JSON.parse(item.result_json) : null;
+  return result?.uncertain !== false;
+}
+
+async function runJobItem(handler, job, item) {
+  db.prepare("UPDATE job_items SET status = 'running', attempts = attempts + 1, result_json = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(item.id);
+  const payload = item.payload_json ? JSON.parse(item.payload_json) : null;
+  let status, result = null, error = null;
+  try {
+    result = await asActor(job.created_by || 'system', () => handler.processItem(item.target, payload, job, item), `job ${job.id} (${job.type})`, `job-${job.id}`);
+    status = 'succeeded';
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+    result = err.result || null;
+  }
+  db.prepare('UPDATE job_items SET status = ?, result_json = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(status, result ? JSON.stringify(result) : null, error, item.id);
+  refreshJobCounts(job.id);
+  jobEvents.emit('item', { job: getJob(job.id), item: { id: item.id, target: item.target, position: item.position, status, result, error } });
+}
+
+async function runJob(job) {
+  const handler = jobHandlers[job.type];
+  db.prepare("UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?").run(job.id);
+
+  if (!handler) {
+    db.prepare("UPDATE jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?")
+      .run(`Unknown job type: ${job.type}`, job.id);
+    jobEvents.emit('finished', getJob(job.id));
+    return;
+  }
+
+  const concurrency = handler.concurrency || 1;
+  while (true) {
+    // Re-read status so cancellation takes effect between batches
+    if (getJob(job.id).status !== 'running') break;
+    const batch = db.prepare("SELECT * FROM job_items WHERE job_id = ? AND status = 'pending' ORDER BY position LIMIT ?")
+      .all(job.id, concurrency);
+    if (batch.length === 0) break;
+
+    await Promise.all(batch.map(item => runJobItem(handler, job, item)));
+    if (handler.delayMs) await new Promise(r => setTimeout(r, handler.delayMs));
+  }
+
+  const current = getJob(job.id);
+  if (current.status === 'running') {
+    db.prepare('UPDATE jobs SET status = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(current.failed > 0 ? 'failed' : 'completed', job.id);
+    if (handler.onFinish) {
+      try { await asActor(job.created_by || 'system', () => handler.onFinish(getJob(job.id)), `job ${job.id} (${job.type})`, `job-${job.id}`); } catch (err) { console.error(`Job ${job.id} onFinish failed:`, err.message); }
+    }
+  }
+  jobEvents.emit('finished', getJob(job.id));
+}
+
+const jobWorkers = new Set();
+
+// Process the current account's queued jobs one at a time, oldest first
+async function kickJobWorker() {
+  const accountId = currentAccount().id;
+  if (jobWorkers.has(accountId)) return;
+  jobWorkers.add(accountId);
+  try {
+    let job;
+    while ((job = db.prepare("SELECT id FROM jobs WHERE status IN ('running', 'queued') ORDER BY id LIMIT 1").get())) {
+      try {
+        await runJob(getJob(job.id));
+      } catch (err) {
+        console.error(`Job ${job.id} crashed:`, err.message);
+        db.prepare("UPDATE jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?").run(err.message, job.id);
+        jobEvents.emit('finished', getJob(job.id));
+      }
+    }
+  } finally {
+    jobWorkers.delete(accountId);
+  }
+}
+
+// Items that were mid-flight when the server stopped go back to pending
+function resumeJobs() {
+  const { changes } = db.prepare("UPDATE job_items SET status = 'pending' WHERE status = 'running'").run();
+  const unfinished = db.prepare("SELECT COUNT(*) AS count FROM jobs WHERE status IN ('running', 'queued')").get().count;
+  if (unfinished > 0) console.log(`Resuming ${unfinished} unfinished job(s) (${changes} interrupted item(s))`);
+  kickJobWorker();
+}
+
+function cancelJob(id) {
+  return db.transaction(() => {
+    const { changes } = db.prepare("UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('queued', 'running')").run(id);
+    if (changes) db.prepare("UPDATE job_items SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status = 'pending'").run(id);
+    return changes > 0;
+  })();
+}
+
+// Requeue the failed and cancelled items of a finished job. items, from the
+// handler's replan(), replaces them with a fresh plan queued after the rest;
+// the job reruns even when the plan is empty, so onFinish checks again.
+function retryJob(id, items = null) {
+  const requeued = db.transaction(() => {
+    const job = getJob(id);
+    if (!job || !['failed', 'cancelled'].includes(job.status)) return 0;
+    if (items) {
+      db.prepare("DELETE FROM job_items WHERE job_id = ? AND status IN ('failed', 'cancelled')").run(id);
+      const { next } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS next FROM job_items WHERE job_id = ?').get(id);
+      const insert = db.prepare('INSERT INTO job_items (job_id, position, target, payload_json) VALUES (?, ?, ?, ?)');
+      items.forEach((item, i) => insert.run(id, next + i, String(item.target), item.payload ? JSON.stringify(item.payload) : null));
+      db.prepare("UPDATE jobs SET status = 'queued', error = NULL, finished_at = NULL, total = (SELECT COUNT(*) FROM job_items WHERE job_id = jobs.id) WHERE id = ?").run(id);
+      refreshJobCounts(id);
+      return items.length;
+    }
+    const { changes } = db.prepare("UPDATE job_items SET status = 'pending', error = NULL, updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status IN ('failed', 'cancelled')").run(id);
+    if (changes) {
+      db.prepare("UPDATE jobs SET status = 'queued', error = NULL, finished_at = NULL WHERE id = ?").run(id);
+      refreshJobCounts(id);
+    }
+    return changes;
+  })();
+  if (requeued || items) kickJobWorker();
+  return requeued;
+}
+
+// Resolve once a job reaches a terminal state
+function waitForJob(jobId) {
+  const accountId = currentAccount().id;
+  return new Promise(resolve => {
+    const current = getJob(jobId);
+    if (current && !['queued', 'running'].includes(current.status)) return resolve(current);
+    const onFinished = job => {
+      if (job.id !== jobId || job.account_id !== accountId || ['queued', 'running'].includes(job.status)) return;
+      jobEvents.off('finished', onFinished);
+      resolve(job);
+    };
+    jobEvents.on('finished', onFinished);
+  });
+}
+
+// === Duplicate detection ===
+// dHash (gradient) and pHash (DCT) fingerprints, 64 bits each as hex. Both
+// survive recompression and resizing; two photos are near-duplicates when
+// both hashes are within DUPLICATE_THRESHOLD bits of each other.
+
+const DUPLICATE_THRESHOLD = parseInt(process.env.DUPLICATE_THRESHOLD) || 10;
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+async function grayscalePixels(buffer, width, height) {
+  return sharp(buffer).rotate().grayscale().resize(width, height, { fit: 'fill' }).raw().toBuffer();
+}
+
+async function computeDHash(buffer) {
+  const px = await grayscalePixels(buffer, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(px[y * 9 + x] < px[y * 9 + x + 1] ? 1 : 0);
+  }
+  return bitsToHex(bits);
+}
+
+async function computePHash(buffer) {
+  const N = 32;
+  const px = await grayscalePixels(buffer, N, N);
+  // 2D DCT-II, only the low 8x8 frequencies are needed
+  const dct = [];
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < N; y++) {
+        for (let x = 0; x < N; x++) {
+          sum += px[y * N + x] * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * N)) * Math.cos(((2 * y + 1) * u * Math.PI) / (2 * N));
+        }
+      }
+      dct.push(sum);
+    }
+  }
+  // Median of the AC coefficients (skip the DC term)
+  const median = [...dct.slice(1)].sort((a, b) => a - b)[31];
+  return bitsToHex(dct.map(c => (c > median ? 1 : 0)));
+}
+
+// Both hashes for an image buffer, or nulls if it can't be decoded
+async function computeImageHashes(buffer) {
+  try {
+    const [dhash, phash] = await Promise.all([computeDHash(buffer), computePHash(buffer)]);
+    return { dhash, phash };
+  } catch (err) {
+    console.error('Image hashing error:', err.message);
+    return { dhash: null, phash: null };
+  }
+}
+
+function hammingDistance(a, b) {
+  let x = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let count = 0;
+  while (x) {
+    count += Number(x & 1n);
+    x >>= 1n;
+  }
+  return count;
+}
+
+// 0..1, where 1 means identical fingerprints
+function hashSimilarity(a, b) {
+  return 1 - (hammingDistance(a.dhash, b.dhash) + hammingDistance(a.phash, b.phash)) / 128;
+}
+
+function isNearDuplicate(a, b, threshold = DUPLICATE_THRESHOLD) {
+  return hammingDistance(a.dhash, b.dhash) <= threshold && hammingDistance(a.phash, b.phash) <= threshold;
+}
+
+// Hashed photos still in the library
+function loadHashedPhotos() {
+  return db.prepare(`
+    SELECT p.meural_id, p.original_filename, p.date_taken, p.dhash, p.phash, i.data_json
+    FROM photos p JOIN items i ON i.id = p.meural_id AND i.owned = 1
+    WHERE p.dhash IS NOT NULL AND p.phash IS NOT NULL
+  `).all();
+}
+
+// Library photos that look like the given hashes
+function findNearDuplicates(hashes, threshold = DUPLICATE_THRESHOLD) {
+  if (!hashes.dhash || !hashes.phash) return [];
+  return loadHashedPhotos()
+    .filter(p => isNearDuplicate(hashes, p, threshold))
+    .map(p => ({ meural_id: p.meural_id, name: JSON.parse(p.data_json).name, similarity: hashSimilarity(hashes, p) }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Group near-duplicate photos into clusters (union-find over all pairs)
+function findDuplicateClusters(threshold = DUPLICATE_THRESHOLD) {
+  const photos = loadHashedPhotos();
+  const parent = photos.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < photos.length; i++) {
+    for (let j = i + 1; j < photos.length; j++) {
+      if (isNearDuplicate(photos[i], photos[j], threshold)) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = {};
+  photos.forEach((photo, i) => {
+    const root = find(i);
+    (groups[root] = groups[root] || []).push(photo);
+  });
+
+  return Object.entries(groups)
+    .filter(([, members]) => members.length > 1)
+    .map(([, members]) => {
+      // Score a cluster by its least similar pair
+      let similarity = 1;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) similarity = Math.min(similarity, hashSimilarity(members[i], members[j]));
+      }
+      const items = members.map(p => {
+        const item = JSON.parse(p.data_json);
+        return {
+          meural_id: p.meural_id,
+          name: item.name,
+          image: item.image || item.thumbnail || null,
+          width: item.originalWidth || null,
+          height: item.originalHeight || null,
+          created_at: item.createdAt || null,
+          date_taken: p.date_taken,
+          original_filename: p.original_filename
+        };
+      });
+      // Suggest keeping the largest, then the earliest uploaded
+      items.sort((a, b) =>
+        ((b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0)) ||
+        String(a.created_at).localeCompare(String(b.created_at))
+      );
+      return { similarity: Math.round(similarity * 1000) / 1000, keep: items[0].meural_id, items };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+async function fetchImageBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Image download failed (HTTP ${response.status})`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Hash a library item from its Meural image. Items uploaded elsewhere get a
+// photos row built from whatever EXIF Meural's copy still has.
+async function hashLibraryItem(id) {
+  const row = db.prepare('SELECT data_json FROM items WHERE id = ?').get(id);
+  const item = row ? JSON.parse(row.data_json) : (await meuralRequest('GET', `/items/${id}`)).data;
+  if (!item) throw new Error('Not found');
+  const imageUrl = item.image || item.image_large;
+  if (!imageUrl) throw new Error('No image URL');
+
+  const buffer = await fetchImageBuffer(imageUrl);
+  const hashes = await computeImageHashes(buffer);
+  if (!hashes.dhash) throw new Error('Could not decode image');
+
+  if (db.prepare('SELECT 1 FROM photos WHERE meural_id = ?').get(id)) {
+    db.prepare('UPDATE photos SET dhash = ?, phash = ? WHERE meural_id = ?').run(hashes.dhash, hashes.phash, id);
+  } else {
+    const exif = extractExif(buffer, item.name);
+    savePhotoExif(id, item.name || null, { ...exif, ...hashes, exif_source: 'meural' });
+    db.prepare('UPDATE photos SET exif_stripped = ? WHERE meural_id = ?').run(exifStripped(exif) ? 1 : 0, id);
+  }
+  return { id, ...hashes };
+}
+
+jobHandlers['hash-backfill'] = {
+  concurrency: 2,
+  async processItem(target) {
+    return hashLibraryItem(parseInt(target));
+  }
+};
+
+// === Smart playlists ===
+// A smart playlist is a Meural gallery whose membership is kept equal to the
+// photos matching a saved rule. Rules are JSON:
+//   { "match": "all", "conditions": [
+//       { "field": "camera_model", "op": "=", "value": "iPhone 15 Pro" },
+//       { "field": "season", "op": "=", "value": "Winter" },
+//       { "field": "location_name", "op": "like", "value": "%Maine%" },
+//       { "match": "any", "conditions": [...] } ] }
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS smart_playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    gallery_id INTEGER NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    rule_json TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_synced_at TEXT,
+    last_result_json TEXT,
+    last_error TEXT
+  );
+`));
+
+// Fields a rule can test: photos columns plus values derived from them
+const SMART_FIELDS = {
+  original_filename: 'text',
+  date_taken: 'text',
+  year: 'number',
+  month: 'number',
+  season: 'text',
+  time_of_day: 'text',
+  camera_make: 'text',
+  camera_model: 'text',
+  lens_model: 'text',
+  focal_length: 'number',
+  focal_length_35mm: 'number',
+  aperture: 'number',
+  shutter_speed: 'text',
+  iso: 'number',
+  exposure_compensation: 'number',
+  gps_latitude: 'number',
+  gps_longitude: 'number',
+  has_gps: 'boolean',
+  location_name: 'text',
+  width: 'number',
+  height: 'number',
+  shape: 'text'
+};
+
+const SMART_OPS = ['=', '!=', '>', '>=', '<', '<=', 'like', 'not like', 'in', 'not in', 'is set', 'is not set'];
+
+// Returns an error message for an invalid rule, or null
+function validateRule(rule, depth = 0) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  if (depth > 5) return 'Rule is nested too deeply';
+  if (!['all', 'any', 'none'].includes(rule.match)) return 'Rule "match" must be "all", "any" or "none"';
+  if (!Array.isArray(rule.conditions)) return 'Rule "conditions" must be an array';
+
+  for (const cond of rule.conditions) {
+    if (cond && cond.match) {
+      const err = validateRule(cond, depth + 1);
+      if (err) return err;
+      continue;
+    }
+    if (!cond || !SMART_FIELDS[cond.field]) return `Unknown field: ${cond?.field}`;
+    if (!SMART_OPS.includes(cond.op)) return `Unknown operator: ${cond.op}`;
+    if (['in', 'not in'].includes(cond.op) && !Array.isArray(cond.value)) return `"${cond.op}" needs an array value`;
+    if (!['is set', 'is not set'].includes(cond.op) && cond.value === undefined) return `Condition on ${cond.field} needs a value`;
+  }
+  return null;
+}
+
+// Add the derived rule fields to a photos row
+function smartFieldsFor(photo) {
+  const date = photo.date_taken ? new Date(photo.date_taken) : null;
+  let shape = null;
+  if (photo.width && photo.height) {
+    // EXIF orientations 5-8 are rotated 90 degrees
+    const rotated = photo.orientation >= 5 && photo.orientation <= 8;
+    const w = rotated ? photo.height : photo.width;
+    const h = rotated ? photo.width : photo.height;
+    shape = w > h ? 'landscape' : w < h ? 'portrait' : 'square';
+  }
+  return {
+    ...photo,
+    year: date ? date.getFullYear() : null,
+    month: date ? date.getMonth() + 1 : null,
+    season: getSeason(photo.date_taken),
+    time_of_day: getTimeOfDay(photo.date_taken),
+    has_gps: photo.gps_latitude != null && photo.gps_longitude != null,
+    shape
+  };
+}
+
+function likeToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'is');
+}
+
+function compareValues(actual, expected, type) {
+  if (type === 'number') return Number(actual) - Number(expected);
+  if (type === 'boolean') return (actual ? 1 : 0) - (expected === true || expected === 'true' ? 1 : 0);
+  return String(actual).localeCompare(String(expected), undefined, { sensitivity: 'accent' });
+}
+
+function matchesCondition(photo, cond) {
+  const actual = photo[cond.field];
+  const type = SMART_FIELDS[cond.field];
+  const isSet = actual !== null && actual !== undefined && actual !== '';
+
+  switch (cond.op) {
+    case 'is set': return isSet;
+    case 'is not set': return !isSet;
+  }
+  if (!isSet) return cond.op === '!=' || cond.op === 'not like' || cond.op === 'not in';
+
+  switch (cond.op) {
+    case '=': return compareValues(actual, cond.value, type) === 0;
+    case '!=': return compareValues(actual, cond.value, type) !== 0;
+    case '>': return compareValues(actual, cond.value, type) > 0;
+    case '>=': return compareValues(actual, cond.value, type) >= 0;
+    case '<': return compareValues(actual, cond.value, type) < 0;
+    case '<=': return compareValues(actual, cond.value, type) <= 0;
+    case 'like': return likeToRegExp(cond.value).test(String(actual));
+    case 'not like': return !likeToRegExp(cond.value).test(String(actual));
+    case 'in': return cond.value.some(v => compareValues(actual, v, type) === 0);
+    case 'not in': return !cond.value.some(v => compareValues(actual, v, type) === 0);
+  }
+  return false;
+}
+
+function matchesRule(photo, rule) {
+  const test = cond => cond.match ? matchesRule(photo, cond) : matchesCondition(photo, cond);
+  if (rule.match === 'any') return rule.conditions.some(test);
+  if (rule.match === 'none') return !rule.conditions.some(test);
+  return rule.conditions.every(test);
+}
+
+// Meural IDs of library photos matching a rule, oldest taken first
+function evaluateRule(rule) {
+  const rows = db.prepare(`
+    SELECT p.* FROM photos p
+    JOIN items i ON i.id = p.meural_id AND i.owned = 1
+    ORDER BY p.date_taken IS NULL, p.date_taken, p.meural_id
+  `).all();
+  return rows.map(smartFieldsFor).filter(photo => matchesRule(photo, rule)).map(photo => photo.meural_id);
+}
+
+function getSmartPlaylist(id) {
+  const row = db.prepare('SELECT * FROM smart_playlists WHERE id = ?').get(id);
+  if (!row) return null;
+  const { rule_json, last_result_json, ...rest } = row;
+  return {
+    ...rest,
+    enabled: !!row.enabled,
+    rule: JSON.parse(rule_json),
+    last_result: last_result_json ? JSON.parse(last_result_json) : null
+  };
+}
+
+// What syncing a rule into a gallery would change
+function planSmartPlaylist(galleryId, rule) {
+  const matches = evaluateRule(rule);
+  const current = db.prepare('SELECT item_id FROM gallery_items WHERE gallery_id = ?').all(galleryId).map(r => r.item_id);
+  const matchSet = new Set(matches);
+  const currentSet = new Set(current);
+  return {
+    matches,
+    add: matches.filter(id => !currentSet.has(id)),
+    remove: current.filter(id => !matchSet.has(id))
+  };
+}
+
+async function syncSmartPlaylist(id) {
+  const smart = getSmartPlaylist(id);
+  if (!smart) throw new Error('Smart playlist not found');
+
+  const plan = planSmartPlaylist(smart.gallery_id, smart.rule);
+  const result = { matched: plan.matches.length, added: 0, removed: 0, failed: 0 };
+
+  for (const itemId of plan.add) {
+    try {
+      checkMeural(await setGalleryMembership(smart.gallery_id, itemId, true));
+      result.added++;
+    } catch (err) {
+      console.error(`Smart playlist ${id}: failed to add ${itemId}:`, err.message);
+      result.failed++;
+    }
+  }
+  for (const itemId of plan.remove) {
+    try {
+      checkMeural(await setGalleryMembership(smart.gallery_id, itemId, false));
+      result.removed++;
+    } catch (err) {
+      console.error(`Smart playlist ${id}: failed to remove ${itemId}:`, err.message);
+      result.failed++;
+    }
+  }
+
+  db.prepare('UPDATE smart_playlists SET last_synced_at = CURRENT_TIMESTAMP, last_result_json = ?, last_error = NULL WHERE id = ?')
+    .run(JSON.stringify(result), id);
+  return result;
+}
+
+let smartPlaylistRun = Promise.resolve();
+
+// Re-evaluate every enabled smart playlist. Runs are serialized so
+// overlapping triggers (upload + sync) don't race on the same gallery.
+function syncAllSmartPlaylists(reason) {
+  smartPlaylistRun = smartPlaylistRun.then(() => asActor('smart-playlist', async () => {
+    const ids = db.prepare('SELECT id FROM smart_playlists WHERE enabled = 1').all().map(r => r.id);
+    for (const id of ids) {
+      try {
+        const result = await syncSmartPlaylist(id);
+        if (result.added || result.removed) console.log(`Smart playlist ${id} synced (${reason}):`, result);
+      } catch (err) {
+        console.error(`Smart playlist ${id} sync failed:`, err.message);
+        db.prepare('UPDATE smart_playlists SET last_error = ? WHERE id = ?').run(err.message, id);
+      }
+    }
+  }));
+  return smartPlaylistRun;
+}
+
+// Sync one smart playlist on the same chain, so a manual sync can't
+// interleave with a triggered run on the same gallery
+function queueSmartPlaylistSync(id) {
+  const run = smartPlaylistRun.then(() => syncSmartPlaylist(id));
+  smartPlaylistRun = run.catch(() => {});
+  return run;
+}
+
+// === Playlist order ===
+// Meural plays a playlist in the order its items were added. A stored order
+// (manual, or a preset: date, location, shuffle, alternate) is applied when
+// the manager lists a playlist and survives re-syncs; pushing it rewrites the
+// playlist on Meural by removing and re-adding the items that are out of place.
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS playlist_orders (
+    gallery_id INTEGER PRIMARY KEY,
+    mode TEXT NOT NULL,
+    direction TEXT NOT NULL DEFAULT 'asc',
+    seed INTEGER,
+    item_ids_json TEXT,
+    pushed_at TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`));
+
+const PLAYLIST_ORDER_MODES = ['manual', 'date', 'location', 'shuffle', 'alternate'];
+
+function getPlaylistOrder(galleryId) {
+  const row = db.prepare('SELECT * FROM playlist_orders WHERE gallery_id = ?').get(galleryId);
+  if (!row) return null;
+  const { item_ids_json, ...rest } = row;
+  return { ...rest, item_ids: item_ids_json ? JSON.parse(item_ids_json) : null };
+}
+
+// Returns an error message, or null when the order is usable
+function validatePlaylistOrder(order) {
+  if (!PLAYLIST_ORDER_MODES.includes(order.mode)) return `mode must be one of: ${PLAYLIST_ORDER_MODES.join(', ')}`;
+  if (!['asc', 'desc'].includes(order.direction)) return "direction must be 'asc' or 'desc'";
+  if (order.mode === 'shuffle' && !Number.isInteger(order.seed)) return 'seed must be an integer';
+  if (order.mode === 'manual') {
+    if (!Array.isArray(order.item_ids) || order.item_ids.length === 0) return 'item_ids must be a non-empty array for a manual order';
+    if (!order.item_ids.every(Number.isInteger)) return 'item_ids must be item IDs';
+    if (new Set(order.item_ids).size !== order.item_ids.length) return 'item_ids contains duplicates';
+  }
+  return null;
+}
+
+// A gallery's members in Meural's order, with what the presets sort on
+function galleryMembers(galleryId) {
+  return db.prepare(`
+    SELECT gi.item_id AS id, gi.position, i.data_json, i.orientation AS item_orientation,
+      i.original_width, i.original_height,
+      p.date_taken, p.location_name, p.width, p.height, p.orientation
+    FROM gallery_items gi
+    JOIN items i ON i.id = gi.item_id
+    LEFT JOIN photos p ON p.id = (SELECT MAX(id) FROM photos WHERE meural_id = gi.item_id)
+    WHERE gi.gallery_id = ?
+    ORDER BY gi.position
+  `).all(galleryId);
+}
+
+// 'portrait', 'landscape' or null, from EXIF dimensions or Meural's copy
+function memberShape(member) {
+  if (member.width && member.height) {
+    // EXIF orientations 5-8 are rotated 90 degrees
+    const rotated = member.orientation >= 5 && member.orientation <= 8;
+    const w = rotated ? member.height : member.width;
+    const h = rotated ? member.width : member.height;
+    if (w !== h) return w > h ? 'landscape' : 'portrait';
+  }
+  if (member.item_orientation === 'vertical') return 'portrait';
+  if (member.item_orientation === 'horizontal') return 'landscape';
+  if (member.original_width && member.original_height && member.original_width !== member.original_height) {
+    return member.original_width > member.original_height ? 'landscape' : 'portrait';
+  }
+  return null;
+}
+
+// Deterministic PRNG (mulberry32) so a seed always gives the same shuffle
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Chronological, ties in Meural's order
+function byDateTaken(a, b) {
+  return a.date_taken.localeCompare(b.date_taken) || a.position - b.position;
+}
+
+// Sort members by a stored order. Members the order doesn't mention (added
+// since a manual order was saved) keep Meural's order after the rest, as do
+// photos missing what a preset sorts on, whichever the direction.
+function applyPlaylistOrder(members, order) {
+  if (!order) return members;
+  const dated = members.filter(m => m.date_taken).sort(byDateTaken);
+  const undated = members.filter(m => !m.date_taken);
+  let sorted, rest = [];
+  switch (order.mode) {
+    case 'manual': {
+      const rank = new Map(order.item_ids.map((id, i) => [id, i]));
+      return [...members].sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity) || a.position - b.position);
+    }
+    case 'date':
+      sorted = dated;
+      rest = undated;
+      break;
+    case 'location': {
+      // Places in the order they were first visited, each one chronological
+      const groups = new Map();
+      for (const member of [...dated, ...undated]) {
+        if (!member.location_name) continue;
+        if (!groups.has(member.location_name)) groups.set(member.location_name, []);
+        groups.get(member.location_name).push(member);
+      }
+      sorted = [...groups.values()].flat();
+      rest = [...dated, ...undated].filter(m => !m.location_name);
+      break;
+    }
+    case 'shuffle': {
+      const random = seededRandom(order.seed);
+      sorted = [...members].sort((a, b) => a.id - b.id);
+      for (let i = sorted.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [sorted[i], sorted[j]] = [sorted[j], sorted[i]];
+      }
+      return sorted;
+    }
+    case 'alternate': {
+      // Interleave portrait and landscape, leading with whichever there are
+      // more of; square and unknown shapes go at the end
+      const chronological = [...dated, ...undated];
+      const portrait = chronological.filter(m => memberShape(m) === 'portrait');
+      const landscape = chronological.filter(m => memberShape(m) === 'landscape');
+      const [first, second] = portrait.length > landscape.length ? [portrait, landscape] : [landscape, portrait];
+      sorted = [];
+      for (let i = 0; i < first.length || i < second.length; i++) {
+        if (i < first.length) sorted.push(first[i]);
+        if (i < second.length) sorted.push(second[i]);
+      }
+      rest = chronological.filter(m => !memberShape(m));
+      break;
+    }
+    default:
+      return members;
+  }
+  return (order.direction === 'desc' ? sorted.reverse() : sorted).concat(rest);
+}
+
+// Item IDs of a gallery in its stored order (Meural's order when none is set)
+function orderedGalleryItemIds(galleryId) {
+  return applyPlaylistOrder(galleryMembers(galleryId), getPlaylistOrder(galleryId)).map(m => m.id);
+}
+
+// Items to move so Meural's order becomes the target. The longest prefix of
+// the target that already appears in order in Meural's list stays put; the
+// rest are removed and re-added, in target order, after it.
+function planOrderPush(current, target) {
+  let kept = 0;
+  for (const id of current) {
+    if (id === target[kept]) kept++;
+  }
+  return target.slice(kept);
+}
+
+// Items to move, planned against Meural's current order. Items missing from
+// the playlist (a move that failed between removing and re-adding) are only
+// re-added.
+async function planOrderPushItems(galleryId, order) {
+  const current = (await fetchAllPages(`/galleries/${galleryId}/items`)).map(m => m.id);
+  const present = new Set(current);
+  return planOrderPush(current, order).map(id => ({ target: id, payload: present.has(id) ? null : { missing: true } }));
+}
+
+// Items arrive in target order and the runner processes them one at a time
+jobHandlers['playlist-order-push'] = {
+  async processItem(target, payload, job, item) {
+    const itemId = parseInt(target);
+    const galleryId = job.params.gallery_id;
+    // An interrupted attempt may have removed the item already
+    const missing = payload?.missing || (mayHaveApplied(item) && !(await meuralHasMember(galleryId, itemId)));
+    if (!missing) checkMeural(await meuralRequest('DELETE', `/galleries/${galleryId}/items/${itemId}`));
+    const added = await meuralRequest('POST', `/galleries/${galleryId}/items/${itemId}`);
+    if (added?.detail || added?.error) {
+      const error = added.detail || added.error;
+      throw new Error(`Removed from the playlist but re-adding failed (retry the job): ${typeof error === 'string' ? error : JSON.stringify(error)}`);
+    }
+    return { id: itemId, moved: true };
+  },
+  // Retrying the failed items alone would re-add them at the end, after the
+  // items that moved since, so a retry plans the moves again
+  async replan(job) {
+    return planOrderPushItems(job.params.gallery_id, job.params.order);
+  },
+  async onFinish(job) {
+    const galleryId = job.params.gallery_id;
+    const members = await fetchAllPages(`/galleries/${galleryId}/items`);
+    // A null signature makes the next sync refetch the membership too
+    replaceGalleryMembers(galleryId, members.map(m => m.id), null);
+    const order = members.map(m => m.id);
+    const inOrder = order.length === job.params.order.length && order.every((id, i) => id === job.params.order[i]);
+    if (inOrder) db.prepare('UPDATE playlist_orders SET pushed_at = CURRENT_TIMESTAMP WHERE gallery_id = ?').run(galleryId);
+    recordAudit('gallery.reorder', {
+      target: `gallery:${galleryId}`, gallery_id: galleryId,
+      before: { items: job.params.previous },
+      after: { items: order }
+    });
+    if (!inOrder) {
+      db.prepare("UPDATE jobs SET status = 'failed', error = ? WHERE id = ?")
+        .run("Meural's order still differs from the stored order; retry the job", job.id);
+    }
+  }
+};
+
+// === Playlist operations ===
+// Build playlists out of others: duplicate one, merge several into a new or
+// existing one, split one into a playlist per year, season, location or
+// orientation, or make one from the union, intersection or difference of
+// several. A plan lists every playlist that results; running it queues a job
+// that creates the new playlists and then adds each photo, so the whole
+// operation shares one change ID and can be undone at once.
+
+const PLAYLIST_OPERATIONS = ['duplicate', 'merge', 'split', 'union', 'intersection', 'difference'];
+const SPLIT_FIELDS = ['year', 'season', 'location', 'orientation'];
+const SEASON_ORDER = ['Spring', 'Summer', 'Fall', 'Winter'];
+
+// The group a member falls in when splitting, or null when it has no value
+function splitKey(member, by) {
+  switch (by) {
+    case 'year': return member.date_taken ? String(new Date(member.date_taken).getFullYear()) : null;
+    case 'season': return getSeason(member.date_taken);
+    case 'location': return member.location_name || null;
+    case 'orientation': {
+      const shape = memberShape(member);
+      return shape ? shape[0].toUpperCase() + shape.slice(1) : null;
+    }
+  }
+  return null;
+}
+
+function compareSplitKeys(by) {
+  if (by === 'season') return (a, b) => SEASON_ORDER.indexOf(a) - SEASON_ORDER.indexOf(b);
+  return (a, b) => a.localeCompare(b, undefined, { numeric: true });
+}
+
+// Work out what an operation would do. Body: { operation, source_ids, name,
+// target_id (merge), by (split) }. Returns { error } or the plan:
+// { operation, sources, playlists: [{ gallery_id, name, new, item_ids, add_ids }],
+//   ungrouped, changes }
+function planPlaylistOperation(body = {}) {
+  const { operation, name = null, target_id = null, by = null } = body;
+  if (!PLAYLIST_OPERATIONS.includes(operation)) return { error: `operation must be one of: ${PLAYLIST_OPERATIONS.join(', ')}` };
+  const sourceIds = Array.isArray(body.source_ids) ? body.source_ids : [];
+  if (!sourceIds.length || !sourceIds.every(Number.isInteger)) return { error: 'source_ids must be a non-empty array of playlist IDs' };
+  if (new Set(sourceIds).size !== sourceIds.length) return { error: 'source_ids contains duplicates' };
+  if (name != null && (typeof name !== 'string' || !name.trim())) return { error: 'name must be a non-empty string' };
+
+  const single = ['duplicate', 'split'].includes(operation);
+  if (single && sourceIds.length !== 1) return { error: `${operation} takes exactly one playlist` };
+  if (['union', 'intersection', 'difference'].includes(operation) && sourceIds.length < 2) return { error: `${operation} needs at least two playlists` };
+  if (operation === 'merge' && sourceIds.length < 2 && target_id == null) return { error: 'merge needs at least two playlists, or one and a target_id' };
+  if (operation === 'split' && !SPLIT_FIELDS.includes(by)) return { error: `by must be one of: ${SPLIT_FIELDS.join(', ')}` };
+
+  const sources = [];
+  for (const id of sourceIds) {
+    const row = db.prepare('SELECT name FROM galleries WHERE id = ?').get(id);
+    if (!row) return { error: `Playlist ${id} not found` };
+    sources.push({ id, name: row.name || `Playlist ${id}`, members: applyPlaylistOrder(galleryMembers(id), getPlaylistOrder(id)) });
+  }
+  const memberIds = sources.map(s => s.members.map(m => m.id));
+  const playlists = [];
+  let ungrouped = [];
+
+  switch (operation) {
+    case 'duplicate':
+      playlists.push({ name: name || `${sources[0].name} (copy)`, item_ids: memberIds[0] });
+      break;
+    case 'merge':
+    case 'union':
+      playlists.push({ name: name || sources.map(s => s.name).join(' + '), item_ids: [...new Set(memberIds.flat())] });
+      break;
+    case 'intersection': {
+      const rest = memberIds.slice(1).map(ids => new Set(ids));
+      playlists.push({ name: name || sources.map(s => s.name).join(' ∩ '), item_ids: memberIds[0].filter(id => rest.every(set => set.has(id))) });
+      break;
+    }
+    case 'difference': {
+      const excluded = new Set(memberIds.slice(1).flat());
+      playlists.push({ name: name || sources.map(s => s.name).join(' − '), item_ids: memberIds[0].filter(id => !excluded.has(id)) });
+      break;
+    }
+    case 'split': {
+      const groups = new Map();
+      for (const member of sources[0].members) {
+        const key = splitKey(member, by);
+        if (key == null) {
+          ungrouped.push(member.id);
+          continue;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(member.id);
+      }
+      for (const key of [...groups.keys()].sort(compareSplitKeys(by))) {
+        playlists.push({ name: `${name || sources[0].name} — ${key}`, group: key, item_ids: groups.get(key) });
+      }
+      break;
+    }
+  }
+
+  // Merging into an existing playlist only adds what it doesn't have
+  if (operation === 'merge' && target_id != null) {
+    if (!Number.isInteger(target_id)) return { error: 'target_id must be a playlist ID' };
+    const target = db.prepare('SELECT name FROM galleries WHERE id = ?').get(target_id);
+    if (!target) return { error: `Playlist ${target_id} not found` };
+    if (db.prepare('SELECT 1 FROM smart_playlists WHERE gallery_id = ?').get(target_id)) {
+      return { error: 'That playlist is a smart playlist; its rule decides its photos' };
+    }
+    const present = new Set(galleryMembers(target_id).map(m => m.id));
+    Object.assign(playlists[0], { gallery_id: target_id, name: target.name, new: false, add_ids: playlists[0].item_ids.filter(id => !present.has(id)) });
+  }
+  for (const playlist of playlists) {
+    if (playlist.gallery_id == null) Object.assign(playlist, { gallery_id: null, new: true, add_ids: playlist.item_ids });
+  }
+
+  return {
+    operation,
+    sources: sources.map(s => ({ id: s.id, name: s.name, count: s.members.length })),
+    playlists,
+    ungrouped,
+    changes: playlists.reduce((sum, p) => sum + (p.new ? 1 : 0) + p.add_ids.length, 0)
+  };
+}
+
+// The playlist a job item adds to: an existing one, or the one an earlier
+// create:<index> item made
+function operationGalleryId(job, index) {
+  const playlist = job.params.playlists[index];
+  if (playlist.gallery_id) return playlist.gallery_id;
+  const created = db.prepare("SELECT status, result_json FROM job_items WHERE job_id = ? AND target = ?").get(job.id, `create:${index}`);
+  if (created?.status !== 'succeeded') throw new Error(`The playlist "${playlist.name}" wasn't created`);
+  return JSON.parse(created.result_json).gallery_id;
+}
+
+// Items run in position order: every create:<index> comes before the adds
+jobHandlers['playlist-operation'] = {
+  async processItem(target, payload, job, item) {
+    // A retried create or add first checks whether the earlier POST went through
+    const retrying = mayHaveApplied(item);
+    if (target.startsWith('create:')) {
+      const existing = retrying ? await findUnmirroredGallery(payload.name) : null;
+      if (existing) {
+        mirrorGallery(existing);
+        recordAudit('gallery.create', { target: `gallery:${existing.id}`, gallery_id: existing.id, after: { name: payload.name } });
+        return { gallery_id: existing.id, name: payload.name };
+      }
+      const created = checkMeural(await createGallery({ name: payload.name }));
+      if (!created.data?.id) throw new Error('Meural didn\'t return the new playlist');
+      return { gallery_id: created.data.id, name: payload.name };
+    }
+    const galleryId = operationGalleryId(job, payload.playlist);
+    const id = parseInt(target);
+    if (retrying && await meuralHasMember(galleryId, id)) {
+      mirrorMembership(galleryId, id, true);
+    } else {
+      checkMeural(await setGalleryMembership(galleryId, id, true));
+    }
+    return { id, gallery_id: galleryId };
+  }
+};
+
+// Queue a plan. Returns the job.
+function runPlaylistOperation(plan) {
+  const creates = [];
+  const adds = [];
+  plan.playlists.forEach((playlist, index) => {
+    if (playlist.new) creates.push({ target: `create:${index}`, payload: { name: playlist.name } });
+    playlist.add_ids.forEach(id => adds.push({ target: id, payload: { playlist: index } }));
+  });
+  return enqueueJob('playlist-operation', [...creates, ...adds], {
+    operation: plan.operation,
+    source_ids: plan.sources.map(s => s.id),
+    playlists: plan.playlists.map(p => ({ gallery_id: p.gallery_id, name: p.name }))
+  });
+}
+
+// === Playlist schedules ===
+// Schedules assign a gallery to one frame (or every frame) during a window:
+//   { days: [1, 2, 3, 4, 5],           // optional, 0 = Sunday
+//     start_time: "06:00", end_time: "10:00",   // optional, may wrap midnight
+//     start_date: "12-01", end_date: "01-06" }  // optional MM-DD, may wrap the year
+// When several schedules match, the highest priority wins, then the
+// frame-specific one over an all-frames one. The scheduler only assigns on
+// transitions, so a manual change sticks until the next scheduled switch.
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    device_id INTEGER,
+    gallery_id INTEGER NOT NULL,
+    days TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    start_date TEXT,
+    end_date TEXT,
+    priority INTEGER DEFAULT 0,
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS schedule_state (
+    device_id INTEGER PRIMARY KEY,
+    schedule_id INTEGER,
+    gallery_id INTEGER,
+    assigned_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS schedule_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER,
+    device_id INTEGER NOT NULL,
+    gallery_id INTEGER NOT NULL,
+    ran_at TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_schedule_runs_ran_at ON schedule_runs(ran_at);
+`));
+
+migrate(() => {
+  // A frame that couldn't be switched: how often in a row, and when last
+  addColumnIfMissing('schedule_state', 'failures', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('schedule_state', 'last_failed_at', 'TEXT');
+});
+
+const SCHEDULE_TICK_MS = 60 * 1000;
+
+function parseSchedule(row) {
+  return { ...row, enabled: !!row.enabled, days: row.days ? JSON.parse(row.days) : null };
+}
+
+async function assignGalleryToDevice(deviceId, galleryId) {
+  const row = db.prepare('SELECT data_json FROM devices WHERE id = ?').get(deviceId);
+  const status = row ? parseRow(row).frameStatus : null;
+  const data = await meuralRequest('POST', `/devices/${deviceId}/galleries/${galleryId}`);
+  if (data?.detail || data?.error) throw new Error(data.detail || data.error);
+  recordAudit('device.assign', {
+    target: `device:${deviceId}`, device_id: parseInt(deviceId), gallery_id: parseInt(galleryId),
+    before: { gallery_id: status?.currentGallery || status?.currentlyPlaying?.id || null },
+    after: { gallery_id: parseInt(galleryId) }
+  });
+  syncDevices().catch(err => console.error('Device refresh failed:', err.message));
+  return data;
+}
+
+// schedule_state and schedule_runs for the current account
+const scheduleStore = {
+  getState: deviceId => db.prepare('SELECT * FROM schedule_state WHERE device_id = ?').get(deviceId) || null,
+  setState: (deviceId, { schedule_id, gallery_id, assigned_at, failures = 0, last_failed_at = null }) => db.prepare(`
+    INSERT INTO schedule_state (device_id, schedule_id, gallery_id, assigned_at, failures, last_failed_at) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(device_id) DO UPDATE SET schedule_id = excluded.schedule_id,
+      gallery_id = excluded.gallery_id, assigned_at = excluded.assigned_at,
+      failures = excluded.failures, last_failed_at = excluded.last_failed_at
+  `).run(deviceId, schedule_id, gallery_id, assigned_at, failures, last_failed_at),
+  clearState: deviceId => db.prepare('DELETE FROM schedule_state WHERE device_id = ?').run(deviceId),
+  recordRun: run => db.prepare('INSERT INTO schedule_runs (schedule_id, device_id, gallery_id, ran_at, status, error) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(run.schedule_id, run.device_id, run.gallery_id, run.ran_at, run.status, run.error)
+};
+
+const scheduler = createScheduler({
+  assign: assignGalleryToDevice,
+  loadSchedules: () => db.prepare('SELECT * FROM schedules').all().map(parseSchedule),
+  loadDevices: () => db.prepare('SELECT id FROM devices').all(),
+  store: scheduleStore
+});
+
+function startScheduler() {
+  const run = () => forEachAccount(() => asActor('scheduler', () => scheduler.tick())
+    .then(runs => runs.forEach(r => console.log(`Schedule ${r.schedule_id}: device ${r.device_id} -> gallery ${r.gallery_id} (${r.status})`)))
+    .catch(err => console.error('Scheduler tick failed:', err.message)));
+  run();
+  setInterval(run, SCHEDULE_TICK_MS);
+}
+
+// === Cleanup planner ===
+// Ranks library items as deletion candidates. Each strategy that flags an
+// item adds its weight to the item's score; 'oldest' adds a share of its
+// weight proportional to upload age, so it mostly breaks ties.
+
+const ITEM_QUOTA = parseInt(process.env.ITEM_QUOTA) || 700;
+const LOW_RESOLUTION_PIXELS = 1920 * 1080;
+
+const CLEANUP_STRATEGIES = {
+  duplicates: { weight: 5, label: 'Duplicate of another photo' },
+  unplaylisted: { weight: 3, label: 'In no playlist' },
+  never_displayed: { weight: 2, label: 'Not in any playlist a frame plays' },
+  low_resolution: { weight: 2, label: 'Low resolution' },
+  oldest: { weight: 1, label: 'Uploaded long ago' }
+};
+
+// Parse "duplicates:5,unplaylisted" into { duplicates: 5, unplaylisted: 3 }
+function parseCleanupStrategies(value) {
+  if (!value) return Object.fromEntries(Object.entries(CLEANUP_STRATEGIES).map(([k, v]) => [k, v.weight]));
+  const strategies = {};
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    const [name, weight] = part.split(':');
+    if (!CLEANUP_STRATEGIES[name]) throw new Error(`Unknown strategy: ${name}`);
+    strategies[name] = weight !== undefined ? parseFloat(weight) : CLEANUP_STRATEGIES[name].weight;
+  }
+  return strategies;
+}
+
+// Galleries a frame is playing now or is scheduled to play
+function displayedGalleryIds() {
+  const ids = new Set();
+  for (const row of db.prepare('SELECT data_json FROM devices').all()) {
+    const device = JSON.parse(row.data_json);
+    const current = device.frameStatus?.currentGallery || device.frameStatus?.currentlyPlaying?.id;
+    if (current) ids.add(current);
+    (device.galleries || []).forEach(g => ids.add(typeof g === 'object' ? g.id : g));
+  }
+  db.prepare('SELECT gallery_id FROM schedules WHERE enabled = 1').all().forEach(r => ids.add(r.gallery_id));
+  return ids;
+}
+
+function planCleanup({ targetFree, quota = ITEM_QUOTA, strategies, exclude = [], protectGalleries = [], minPixels = LOW_RESOLUTION_PIXELS }) {
+  const items = db.prepare('SELECT id, data_json FROM items WHERE owned = 1').all().map(row => JSON.parse(row.data_json));
+  const excluded = new Set(exclude);
+
+  const memberships = {};
+  db.prepare('SELECT gallery_id, item_id FROM gallery_items').all().forEach(r => {
+    (memberships[r.item_id] = memberships[r.item_id] || []).push(r.gallery_id);
+  });
+  const protectedSet = new Set(protectGalleries);
+  const displayed = displayedGalleryIds();
+
+  const duplicateExtras = new Set();
+  if (strategies.duplicates !== undefined) {
+    findDuplicateClusters().forEach(c => c.items.forEach(i => { if (i.meural_id !== c.keep) duplicateExtras.add(i.meural_id); }));
+  }
+
+  const byAge = [...items].sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  const ageRank = {};
+  byAge.forEach((item, i) => { ageRank[item.id] = items.length > 1 ? 1 - i / (items.length - 1) : 1; });
+
+  const candidates = [];
+  for (const item of items) {
+    if (excluded.has(item.id)) continue;
+    const galleries = memberships[item.id] || [];
+    if (galleries.some(g => protectedSet.has(g))) continue;
+
+    const reasons = [];
+    let score = 0;
+    const flag = (name, applies) => {
+      if (strategies[name] === undefined || !applies) return;
+      reasons.push(name);
+      score += strategies[name];
+    };
+    flag('duplicates', duplicateExtras.has(item.id));
+    flag('unplaylisted', galleries.length === 0);
+    flag('never_displayed', galleries.length > 0 && !galleries.some(g => displayed.has(g)));
+    flag('low_resolution', item.originalWidth && item.originalHeight && item.originalWidth * item.originalHeight < minPixels);
+    if (strategies.oldest !== undefined) score += strategies.oldest * ageRank[item.id];
+
+    // 'oldest' alone shouldn't make every photo a candidate unless it's the only strategy
+    if (reasons.length === 0 && Object.keys(strategies).some(s => s !== 'oldest')) continue;
+    if (reasons.length === 0) reasons.push('oldest');
+
+    candidates.push({
+      id: item.id,
+      name: item.name,
+      image: item.image || item.thumbnail || null,
+      created_at: item.createdAt || null,
+      width: item.originalWidth || null,
+      height: item.originalHeight || null,
+      galleries,
+      score: Math.round(score * 100) / 100,
+      reasons
+    });
+  }
+
+  candidates.sort((a, b) => (b.score - a.score) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+  const needed = Math.max(items.length - (quota - targetFree), 0);
+  return {
+    total_items: items.length,
+    quota,
+    free: Math.max(quota - items.length, 0),
+    target_free: targetFree,
+    needed,
+    strategies,
+    candidates: candidates.length,
+    plan: candidates.slice(0, needed),
+    shortfall: Math.max(needed - candidates.length, 0)
+  };
+}
+
+// === Trash ===
+// Deleting an item first saves its image bytes, metadata and playlist
+// memberships locally, so it can be re-uploaded and put back in its playlists.
+
+const trashDir = process.env.TRASH_DIR || path.join(__dirname, 'trash');
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS ?? '30');
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS trash (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meural_id INTEGER NOT NULL,
+    name TEXT,
+    description TEXT,
+    year TEXT,
+    medium TEXT,
+    galleries_json TEXT,
+    item_json TEXT,
+    photo_json TEXT,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    size INTEGER,
+    deleted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_trash_expires_at ON trash(expires_at);
+`));
+
+// The item a restore uploaded, set before its metadata and playlists are back
+migrate(() => addColumnIfMissing('trash', 'restored_id', 'INTEGER'));
+
+function parseTrashRow(row) {
+  const { galleries_json, item_json, photo_json, file_name, ...rest } = row;
+  return { ...rest, galleries: JSON.parse(galleries_json || '[]') };
+}
+
+// Save an item to the trash, then delete it on Meural
+async function trashItem(id) {
+  const row = db.prepare('SELECT data_json FROM items WHERE id = ?').get(id);
+  const item = row ? JSON.parse(row.data_json) : (await meuralRequest('GET', `/items/${id}`)).data;
+  if (!item) throw new Error('Not found');
+  const imageUrl = item.image || item.image_large;
+  if (!imageUrl) throw new Error('No image URL, refusing to delete without a copy');
+
+  // Refuse to delete anything we couldn't keep a copy of
+  const response = await fetch(imageUrl);
+  if (!response.ok) throw new Error(`Image download failed (HTTP ${response.status}), not deleted`);
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const mimeType = response.headers.get('content-type') || 'image/jpeg';
+
+  const galleries = db.prepare('SELECT gallery_id FROM gallery_items WHERE item_id = ? ORDER BY gallery_id').all(id).map(r => r.gallery_id);
+  const photo = db.prepare('SELECT * FROM photos WHERE meural_id = ?').get(id);
+  const fileName = `${id}-${Date.now()}${path.extname(new URL(imageUrl).pathname) || '.jpg'}`;
+  fs.mkdirSync(trashDir, { recursive: true });
+  fs.writeFileSync(path.join(trashDir, fileName), buffer);
+
+  const trashId = db.prepare(`
+    INSERT INTO trash (meural_id, name, description, year, medium, galleries_json, item_json, photo_json, file_name, mime_type, size, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(
+    id, item.name || null, item.description || null, item.year != null ? String(item.year) : null, item.medium || null,
+    JSON.stringify(galleries), JSON.stringify(item), photo ? JSON.stringify(photo) : null,
+    fileName, mimeType, buffer.length, TRASH_RETENTION_DAYS > 0 ? `+${TRASH_RETENTION_DAYS * 24 * 60} minutes` : null
+  ).lastInsertRowid;
+
+  try {
+    checkMeural(await meuralRequest('DELETE', `/items/${id}`));
+  } catch (err) {
+    removeTrashEntry(trashId);
+    throw err;
+  }
+  forgetItem(id);
+  recordAudit('item.trash', {
+    target: `item:${id}`, item_id: id,
+    before: { name: item.name || null, description: item.description || null, galleries },
+    after: { trash_id: Number(trashId) }
+  });
+  return { id, success: true, trash_id: trashId };
+}
+
+function removeTrashEntry(trashId) {
+  const row = db.prepare('SELECT file_name FROM trash WHERE id = ?').get(trashId);
+  if (!row) return false;
+  fs.rmSync(path.join(trashDir, row.file_name), { force: true });
+  db.prepare('DELETE FROM trash WHERE id = ?').run(trashId);
+  return true;
+}
+
+// Upload a previously exported or trashed image. Removes file.path on
+// success. Returns the new item ID.
+async function uploadKeptImage(file, { reconcile = false } = {}) {
+  const result = await uploadSinglePhoto(file, 1, { describe: false, reconcile });
+  if (!result.success) {
+    throw new Error(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+  }
+  return result.meural_id;
+}
+
+// Give a re-uploaded item back its metadata and EXIF row
+async function restoreItemMetadata(newId, metadata, photo) {
+  const fields = {};
+  for (const field of ['name', 'description', 'year', 'medium']) {
+    if (metadata[field] != null) fields[field] = metadata[field];
+  }
+  if (Object.keys(fields).length) {
+    const updated = checkMeural(await meuralRequest('PUT', `/items/${newId}`, fields));
+    if (updated.data?.id) mirrorItem(updated.data);
+    else patchMirroredItem(newId, fields);
+  }
+
+  // Keep the EXIF recorded at the original upload; Meural's copy may have lost it
+  if (photo) savePhotoExif(newId, photo.original_filename, photo);
+}
+
+async function reuploadItem(file, metadata, photo, options) {
+  const newId = await uploadKeptImage(file, options);
+  await restoreItemMetadata(newId, metadata, photo);
+  return newId;
+}
+
+// Re-upload a trashed item, restore its metadata and put it back in the
+// playlists that still exist. The new ID is stored on the entry as soon as
+// the upload succeeds, so a retry carries on from there instead of uploading
+// again. Returns the new Meural item.
+async function restoreTrashItem(trashId, options) {
+  const entry = db.prepare('SELECT * FROM trash WHERE id = ?').get(trashId);
+  if (!entry) throw new Error('Not in trash');
+  const item = JSON.parse(entry.item_json || '{}');
+  const photo = entry.photo_json ? JSON.parse(entry.photo_json) : null;
+
+  let newId = entry.restored_id;
+  if (!newId) {
+    // uploadSinglePhoto removes its input on success, so upload a copy
+    const copyPath = path.join(uploadDir, `restore-${trashId}-${Date.now()}`);
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.copyFileSync(path.join(trashDir, entry.file_name), copyPath);
+    const file = { path: copyPath, originalname: photo?.original_filename || item.name || entry.file_name, mimetype: entry.mime_type };
+    try {
+      newId = await uploadKeptImage(file, options);
+    } catch (err) {
+      fs.rmSync(copyPath, { force: true });
+      throw err;
+    }
+    db.prepare('UPDATE trash SET restored_id = ? WHERE id = ?').run(newId, trashId);
+  }
+  await restoreItemMetadata(newId, entry, photo);
+
+  // Memberships are best effort; the ones that fail are reported
+  const restoredGalleries = [];
+  const missingGalleries = [];
+  const failedGalleries = [];
+  for (const galleryId of JSON.parse(entry.galleries_json || '[]')) {
+    if (!db.prepare('SELECT 1 FROM galleries WHERE id = ?').get(galleryId)) {
+      missingGalleries.push(galleryId);
+      continue;
+    }
+    try {
+      checkMeural(await meuralRequest('POST', `/galleries/${galleryId}/items/${newId}`));
+      mirrorMembership(galleryId, newId, true);
+      restoredGalleries.push(galleryId);
+    } catch (err) {
+      console.error(`Restore ${trashId}: failed to add ${newId} to playlist ${galleryId}:`, err.message);
+      failedGalleries.push({ gallery_id: galleryId, error: err.message });
+    }
+  }
+
+  removeTrashEntry(trashId);
+  recordAudit('item.restore', {
+    target: `item:${newId}`, item_id: newId,
+    before: { meural_id: entry.meural_id, trash_id: Number(trashId) },
+    after: { meural_id: newId, galleries: restoredGalleries }
+  });
+  return {
+    trash_id: Number(trashId), previous_id: entry.meural_id, meural_id: newId,
+    galleries: restoredGalleries, missing_galleries: missingGalleries, failed_galleries: failedGalleries
+  };
+}
+
+// Permanently remove trash entries past their retention period
+function purgeExpiredTrash() {
+  const expired = db.prepare("SELECT id, meural_id, name FROM trash WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')").all();
+  expired.forEach(r => {
+    removeTrashEntry(r.id);
+    asActor('trash-expiry', () => recordAudit('trash.purge', { target: `trash:${r.id}`, item_id: r.meural_id, before: { name: r.name } }));
+  });
+  if (expired.length) console.log(`Purged ${expired.length} expired trash item(s)`);
+  return expired.length;
+}
+
+function startTrashExpiry() {
+  forEachAccount(purgeExpiredTrash);
+  setInterval(() => forEachAccount(purgeExpiredTrash), 60 * 60 * 1000);
+}
+
+jobHandlers['trash-restore'] = {
+  async processItem(target, payload, job, item) {
+    return restoreTrashItem(parseInt(target), { reconcile: mayHaveApplied(item) });
+  },
+  async onFinish(job) {
+    if (job.succeeded > 0) await syncAllSmartPlaylists('restore');
+  }
+};
+
+// === Library export / import ===
+// Archives are tar files holding images/<item id>.<ext> for every photo and a
+// manifest.json (written last) with item metadata, photos rows and playlists
+// with their ordered members. Importing uploads the photos, recreates the
+// playlists and records how old IDs map to new ones. The plan is worked out
+// by lib/library-import.js.
+
+const ARCHIVE_VERSION = 1;
+// Max differing bits for an archived photo to count as already in the library
+const IMPORT_MATCH_THRESHOLD = 2;
+
+// Whole-library archives are far larger than single photos, so no size limit
+const archiveUpload = multer({ dest: uploadDir });
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS import_id_map (
+    job_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    old_id INTEGER NOT NULL,
+    new_id INTEGER NOT NULL,
+    PRIMARY KEY (job_id, kind, old_id)
+  );
+`));
+
+function addTarEntry(pack, name, buffer) {
+  return new Promise((resolve, reject) => {
+    pack.entry({ name, size: buffer.length }, buffer, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Stream the whole library into a tar archive
+async function writeLibraryExport(pack) {
+  const items = db.prepare('SELECT data_json FROM items WHERE owned = 1 ORDER BY created_at, id').all().map(parseRow);
+  const manifestItems = [];
+  const failed = [];
+
+  for (const item of items) {
+    const imageUrl = item.image || item.image_large;
+    let file = null, mimeType = null;
+    try {
+      if (!imageUrl) throw new Error('No image URL');
+      const response = await fetch(imageUrl);
+      if (!response.ok) throw new Error(`Image download failed (HTTP ${response.status})`);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      mimeType = response.headers.get('content-type') || 'image/jpeg';
+      file = `images/${item.id}${path.extname(new URL(imageUrl).pathname) || '.jpg'}`;
+      await addTarEntry(pack, file, buffer);
+    } catch (err) {
+      failed.push({ id: item.id, error: err.message });
+      continue;
+    }
+
+    const photo = db.prepare('SELECT * FROM photos WHERE meural_id = ?').get(item.id);
+    if (photo) delete photo.id;
+    manifestItems.push({
+      id: item.id,
+      name: item.name || null,
+      description: item.description || null,
+      year: item.year ?? null,
+      medium: item.medium || null,
+      orientation: item.orientation || null,
+      created_at: item.createdAt || null,
+      file,
+      mime_type: mimeType,
+      photo: photo || null
+    });
+  }
+
+  const galleries = db.prepare('SELECT id, data_json FROM galleries ORDER BY id').all().map(row => {
+    const gallery = JSON.parse(row.data_json);
+    return {
+      id: row.id,
+      name: gallery.name || null,
+      description: gallery.description || null,
+      orientation: gallery.orientation || null,
+      items: db.prepare('SELECT item_id FROM gallery_items WHERE gallery_id = ? ORDER BY position').all(row.id).map(r => r.item_id)
+    };
+  });
+
+  const manifest = { version: ARCHIVE_VERSION, exported_at: new Date().toISOString(), items: manifestItems, galleries, failed };
+  await addTarEntry(pack, 'manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  pack.finalize();
+  return manifest;
+}
+
+// Read an export archive: its manifest plus fingerprints of every image.
+// With extractTo, images are also written out as individual files.
+function readImportArchive(archivePath, extractTo = null) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const files = {};
+    let manifest = null;
+    const fail = err => {
+      Object.values(files).forEach(f => f.path && fs.rmSync(f.path, { force: true }));
+      reject(err);
+    };
+
+    extract.on('entry', (header, stream, next) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('error', next);
+      stream.on('end', async () => {
+        try {
+          const buffer = Buffer.concat(chunks);
+          if (header.name === 'manifest.json') {
+            manifest = JSON.parse(buffer.toString('utf8'));
+          } else if (header.name.startsWith('images/')) {
+            const file = { hashes: await computeImageHashes(buffer) };
+            if (extractTo) {
+              file.path = path.join(extractTo, `import-${Date.now()}-${path.basename(header.name)}`);
+              fs.writeFileSync(file.path, buffer);
+            }
+            files[header.name] = file;
+          }
+          next();
+        } catch (err) {
+          next(err);
+        }
+      });
+    });
+    extract.on('finish', () => {
+      if (!manifest) return fail(new Error('Not a library export: manifest.json is missing'));
+      if (manifest.version !== ARCHIVE_VERSION) return fail(new Error(`Unsupported archive version: ${manifest.version}`));
+      resolve({ manifest, files });
+    });
+    extract.on('error', fail);
+
+    fs.createReadStream(archivePath).on('error', fail).pipe(extract);
+  });
+}
+
+// The library as import planning sees it (lib/library-import.js)
+const importLibrary = {
+  ownsItem: id => !!db.prepare('SELECT 1 FROM items WHERE id = ? AND owned = 1').get(id),
+  findDuplicate: hashes => findNearDuplicates(hashes, IMPORT_MATCH_THRESHOLD)[0]?.meural_id ?? null,
+  findGallery: name => {
+    const existing = db.prepare('SELECT id FROM galleries WHERE name = ? COLLATE NOCASE ORDER BY id LIMIT 1').get(name);
+    if (!existing) return null;
+    return { id: existing.id, items: db.prepare('SELECT item_id FROM gallery_items WHERE gallery_id = ?').all(existing.id).map(r => r.item_id) };
+  }
+};
+
+function recordImportMapping(jobId, kind, oldId, newId) {
+  db.prepare('INSERT OR REPLACE INTO import_id_map (job_id, kind, old_id, new_id) VALUES (?, ?, ?, ?)').run(jobId, kind, oldId, newId);
+}
+
+function importIdMap(jobId) {
+  const map = { items: {}, galleries: {} };
+  db.prepare('SELECT kind, old_id, new_id FROM import_id_map WHERE job_id = ?').all(jobId)
+    .forEach(r => { map[r.kind === 'gallery' ? 'galleries' : 'items'][r.old_id] = r.new_id; });
+  return map;
+}
+
+// Playlists are rebuilt once every photo has been uploaded
+async function rebuildImportedGalleries(job) {
+  const archived = new Set(job.params.archived_ids);
+  for (const gallery of job.params.galleries) {
+    const map = importIdMap(job.id);
+    let galleryId = map.galleries[gallery.id] ?? gallery.existing_id;
+    if (!galleryId) {
+      const created = await createGallery({
+        name: gallery.name,
+        description: gallery.description || '',
+        orientation: gallery.orientation || 'horizontal'
+      });
+      if (!created.data?.id) {
+        console.error(`Import ${job.id}: could not create playlist "${gallery.name}":`, JSON.stringify(created).substring(0, 200));
+        continue;
+      }
+      galleryId = created.data.id;
+    }
+    recordImportMapping(job.id, 'gallery', gallery.id, galleryId);
+
+    const present = new Set(db.prepare('SELECT item_id FROM gallery_items WHERE gallery_id = ?').all(galleryId).map(r => r.item_id));
+    for (const oldId of gallery.items) {
+      const itemId = map.items[oldId] ?? (archived.has(oldId) ? null : oldId);
+      if (!itemId || present.has(itemId)) continue;
+      try {
+        checkMeural(await setGalleryMembership(galleryId, itemId, true));
+        present.add(itemId);
+      } catch (err) {
+        console.error(`Import ${job.id}: could not add ${itemId} to playlist ${galleryId}:`, err.message);
+      }
+    }
+  }
+}
+
+jobHandlers['library-import'] = {
+  role: 'admin',
+  async processItem(target, payload, job, item) {
+    const newId = await reuploadItem(payload.file, payload.metadata, payload.photo, { reconcile: mayHaveApplied(item) });
+    recordImportMapping(job.id, 'item', parseInt(target), newId);
+    return { old_id: parseInt(target), meural_id: newId };
+  },
+  async onFinish(job) {
+    await rebuildImportedGalleries(job);
+    await syncAllSmartPlaylists('import');
+  }
+};
+
+// Queue the uploads for an import plan; items already in the library are mapped up front
+function enqueueImportJob(archive, plan) {
+  const byId = Object.fromEntries(archive.manifest.items.map(item => [item.id, item]));
+  const uploading = new Set(plan.items.filter(i => i.action === 'upload').map(i => byId[i.old_id].file));
+  for (const [name, file] of Object.entries(archive.files)) {
+    if (!uploading.has(name) && file.path) fs.rmSync(file.path, { force: true });
+  }
+
+  const uploads = plan.items.filter(i => i.action === 'upload').map(i => {
+    const item = byId[i.old_id];
+    const { id, file, mime_type, photo, ...metadata } = item;
+    return {
+      target: id,
+      payload: {
+        file: { path: archive.files[file].path, originalname: photo?.original_filename || item.name || path.basename(file), mimetype: mime_type || 'image/jpeg' },
+        metadata,
+        photo
+      }
+    };
+  });
+
+  const job = enqueueJob('library-import', uploads, {
+    exported_at: archive.manifest.exported_at,
+    archived_ids: archive.manifest.items.map(i => i.id),
+    galleries: importJobGalleries(archive.manifest, plan)
+  });
+  plan.items.filter(i => i.action === 'skip').forEach(i => recordImportMapping(job.id, 'item', i.old_id, i.existing_id));
+  return job;
+}
+
+// === Format normalization ===
+// Meural only reliably takes JPEG and GIF. Everything else (HEIC, camera RAW,
+// TIFF, PNG, WebP) is converted to JPEG with orientation applied and the EXIF
+// and ICC profile kept. sharp does the work where it can decode the format;
+// HEIC and RAW fall back to system converters, then to a RAW's embedded preview.
+
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.cr3', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.orf', '.rw2', '.raf', '.pef', '.srw', '.rwl', '.3fr', '.iiq'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const CONVERTED_JPEG_QUALITY = 92;
+
+// External converters, tried in order. Missing tools are skipped.
+const IMAGE_CONVERTERS = [
+  { command: 'sips', formats: ['heic', 'raw'], args: (input, output) => ['-s', 'format', 'jpeg', input, '--out', output] },
+  { command: 'heif-convert', formats: ['heic'], args: (input, output) => ['-q', String(CONVERTED_JPEG_QUALITY), input, output] },
+  { command: 'magick', formats: ['heic', 'raw'], args: (input, output) => [input, output] }
+];
+
+// Sniff the real format from magic bytes; the extension only separates RAW from TIFF
+function detectImageFormat(buffer, filename = '') {
+  const ext = path.extname(filename).toLowerCase();
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'crx ') return 'raw'; // Canon CR3
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (HEIF_BRANDS.includes(brand)) return 'heic';
+  }
+  if (ascii(0, 15) === 'FUJIFILMCCD-RAW') return 'raw';
+  if (['IIRO', 'IIRS', 'IIU\0'].includes(ascii(0, 4))) return 'raw'; // Olympus, Panasonic
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return RAW_EXTENSIONS.includes(ext) ? 'raw' : 'tiff';
+  return RAW_EXTENSIONS.includes(ext) ? 'raw' : 'unknown';
+}
+
+// Orient, keep EXIF and ICC, flatten transparency onto black (what a frame shows) and encode as JPEG
+function toFrameJpeg(input, orientation = null) {
+  let image = sharp(input, { failOn: 'none' });
+  if (orientation) {
+    // The input carries no EXIF of its own (e.g. a RAW preview), so orient explicitly
+    const turns = { 3: 180, 6: 90, 8: 270 };
+    if (turns[orientation]) image = image.rotate(turns[orientation]);
+  } else {
+    image = image.rotate();
+  }
+  return image.flatten({ background: '#000000' })
+    .keepExif()
+    .keepIccProfile()
+    .jpeg({ quality: CONVERTED_JPEG_QUALITY, mozjpeg: true })
+    .toBuffer();
+}
+
+function runConverter(converter, input, output) {
+  return new Promise((resolve, reject) => {
+    execFile(converter.command, converter.args(input, output), { timeout: 120000 }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Convert with the first available system tool, or null if none could
+async function convertWithSystemTool(buffer, format, filename) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meural-convert-'));
+  const input = path.join(dir, `input${path.extname(filename) || '.' + format}`);
+  const output = path.join(dir, 'output.jpg');
+  try {
+    fs.writeFileSync(input, buffer);
+    for (const converter of IMAGE_CONVERTERS.filter(c => c.formats.includes(format))) {
+      try {
+        await runConverter(converter, input, output);
+        if (fs.existsSync(output)) return { buffer: fs.readFileSync(output), method: converter.command };
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`${converter.command} could not convert ${filename}:`, err.message);
+      }
+    }
+    return null;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Most RAW files embed a full-size JPEG preview; return the largest one
+async function extractRawPreview(buffer) {
+  let best = null;
+  let candidates = 0;
+  for (let i = buffer.indexOf(Buffer.from([0xff, 0xd8, 0xff])); i !== -1 && candidates < 50; i = buffer.indexOf(Buffer.from([0xff, 0xd8, 0xff]), i + 3)) {
+    candidates++;
+    try {
+      const meta = await sharp(buffer.subarray(i)).metadata();
+      if (meta.format === 'jpeg' && (!best || meta.width * meta.height > best.pixels)) {
+        best = { offset: i, pixels: meta.width * meta.height };
+      }
+    } catch (e) {}
+  }
+  return best ? buffer.subarray(best.offset) : null;
+}
+
+// Returns { buffer, mimeType, filename, format, converted } where converted
+// describes what was done ({ from, to, method, ... }) or is null
+async function normalizeImage(buffer, filename) {
+  const format = detectImageFormat(buffer, filename);
+  if (format === 'jpeg' || format === 'gif') {
+    return { buffer, mimeType: `image/${format}`, filename, format, converted: null };
+  }
+
+  let output = null;
+  let method = null;
+  let exifKept = true;
+
+  if (format !== 'raw') {
+    try {
+      output = await toFrameJpeg(buffer);
+      method = 'sharp';
+    } catch (err) {
+      if (format !== 'heic') throw new Error(`Could not convert ${format.toUpperCase()} image: ${err.message}`);
+    }
+  }
+
+  if (!output && (format === 'heic' || format === 'raw')) {
+    const converted = await convertWithSystemTool(buffer, format, filename);
+    if (converted) {
+      output = await toFrameJpeg(converted.buffer);
+      method = converted.method;
+    }
+  }
+
+  if (!output && format === 'raw') {
+    const preview = await extractRawPreview(buffer);
+    if (preview) {
+      // The preview has no EXIF of its own; the original's is still stored locally
+      const orientation = extractExif(buffer, filename).orientation;
+      output = await toFrameJpeg(preview, orientation || 1);
+      method = 'embedded-preview';
+      exifKept = false;
+    }
+  }
+
+  if (!output) {
+    throw new Error(format === 'unknown'
+      ? `Unsupported image format: ${filename}`
+      : `Could not convert ${format.toUpperCase()} image: no converter available (install libheif or ImageMagick)`);
+  }
+
+  const meta = await sharp(output).metadata();
+  console.log(`Converted ${filename}: ${format} → jpeg via ${method} (${meta.width}x${meta.height})`);
+  return {
+    buffer: output,
+    mimeType: 'image/jpeg',
+    filename: `${path.basename(filename, path.extname(filename))}.jpg`,
+    format,
+    converted: {
+      from: format,
+      to: 'jpeg',
+      method,
+      exif_kept: exifKept,
+      dimensions: { width: meta.width, height: meta.height },
+      size: `${(buffer.length / 1024 / 1024).toFixed(1)}MB → ${(output.length / 1024 / 1024).toFixed(1)}MB`
+    }
+  };
+}
+
+// === Fit to frame ===
+// Optional pre-upload stage that shapes photos to the 16:9 canvas of the frame
+// they're meant for, in its hanging orientation: smart crop (attention or
+// entropy), letterbox over a blurred copy, or two photos of the wrong shape
+// paired side by side (stacked on a portrait frame).
+
+const FRAME_CANVAS = {
+  horizontal: { width: 1920, height: 1080 },
+  vertical: { width: 1080, height: 1920 }
+};
+const FIT_MODES = ['crop-attention', 'crop-entropy', 'blur', 'pair'];
+
+// Orientation a device hangs in, from the mirror
+function frameOrientation(deviceId) {
+  const row = db.prepare('SELECT orientation FROM devices WHERE id = ?').get(deviceId);
+  return row?.orientation === 'vertical' ? 'vertical' : 'horizontal';
+}
+
+// Fit options from an upload form: fit=<mode> plus device_id or orientation
+function parseFitOptions(body) {
+  if (!body.fit || body.fit === 'none') return { fit: null };
+  if (!FIT_MODES.includes(body.fit)) return { error: `fit must be one of: ${FIT_MODES.join(', ')}` };
+  if (body.device_id && !db.prepare('SELECT 1 FROM devices WHERE id = ?').get(body.device_id)) {
+    return { error: `Unknown frame: ${body.device_id}` };
+  }
+  const orientation = body.device_id ? frameOrientation(body.device_id) : (body.orientation === 'vertical' ? 'vertical' : 'horizontal');
+  return { fit: { mode: body.fit, orientation } };
+}
+
+// 'horizontal', 'vertical' or null (square or unreadable), after EXIF orientation
+async function imageShape(buffer) {
+  try {
+    const meta = await sharp(buffer).metadata();
+    const swap = meta.orientation >= 5;
+    const width = swap ? meta.height : meta.width;
+    const height = swap ? meta.width : meta.height;
+    if (width === height) return null;
+    return width > height ? 'horizontal' : 'vertical';
+  } catch (err) {
+    return null;
+  }
+}
+
+function fitJpeg(image) {
+  return image.keepExif().keepIccProfile().jpeg({ quality: CONVERTED_JPEG_QUALITY, mozjpeg: true }).toBuffer();
+}
+
+async function blurredLetterbox(buffer, width, height) {
+  const [background, foreground] = await Promise.all([
+    sharp(buffer).rotate().resize(width, height, { fit: 'cover' }).blur(40).modulate({ brightness: 0.7 }).toBuffer(),
+    sharp(buffer).rotate().resize(width, height, { fit: 'inside' }).toBuffer()
+  ]);
+  return fitJpeg(sharp(background).composite([{ input: foreground, gravity: 'center' }]));
+}
+
+// Shape one image (or a pair) to a frame canvas
+async function fitToFrame(buffer, mode, orientation, pairBuffer = null) {
+  const { width, height } = FRAME_CANVAS[orientation];
+  if (pairBuffer) {
+    // Halves of the canvas, each smart-cropped
+    const cell = orientation === 'horizontal' ? { width: width / 2, height } : { width, height: height / 2 };
+    const halves = await Promise.all([buffer, pairBuffer].map(b =>
+      sharp(b).rotate().resize(cell.width, cell.height, { fit: 'cover', position: sharp.strategy.attention }).toBuffer()));
+    return fitJpeg(sharp(buffer).rotate().resize(width, height, { fit: 'cover' }).composite([
+      { input: halves[0], left: 0, top: 0 },
+      { input: halves[1], left: orientation === 'horizontal' ? cell.width : 0, top: orientation === 'horizontal' ? 0 : cell.height }
+    ]));
+  }
+  if (mode === 'blur' || mode === 'pair') return blurredLetterbox(buffer, width, height);
+  const position = mode === 'crop-entropy' ? sharp.strategy.entropy : sharp.strategy.attention;
+  return fitJpeg(sharp(buffer).rotate().resize(width, height, { fit: 'cover', position }));
+}
+
+// Decide how a batch is fitted. With 'pair', photos whose shape doesn't match
+// the frame are paired in upload order, matching ones are uploaded untouched
+// and a leftover odd one is letterboxed. Returns [{ files: [file, pair?], mode }]
+async function planFrameFit(files, fit) {
+  if (fit.mode !== 'pair') return files.map(file => ({ files: [file], mode: fit.mode }));
+
+  const groups = [];
+  let waiting = null;
+  for (const file of files) {
+    let buffer = fs.readFileSync(file.path);
+    let shape = await imageShape(buffer);
+    if (!shape) {
+      // HEIC and RAW need converting before their shape can be read
+      buffer = (await normalizeImage(buffer, file.originalname).catch(() => null))?.buffer;
+      shape = buffer ? await imageShape(buffer) : null;
+    }
+    if (!shape || shape === fit.orientation) {
+      groups.push({ files: [file], mode: null });
+    } else if (waiting) {
+      waiting.files.push(file);
+      waiting.mode = 'pair';
+      waiting = null;
+    } else {
+      waiting = { files: [file], mode: 'blur' };
+      groups.push(waiting);
+    }
+  }
+  return groups;
+}
+
+// Fit an upload's normalized buffer using the plan stored on its job payload
+async function fitUploadToFrame(buffer, file) {
+  const { mode, orientation } = file.fit;
+  if (!mode) return null;
+  let pairBuffer = null;
+  if (file.pair) pairBuffer = (await normalizeImage(fs.readFileSync(file.pair.path), file.pair.originalname)).buffer;
+  const fitted = await fitToFrame(buffer, mode, orientation, pairBuffer);
+  return {
+    buffer: fitted,
+    info: { mode, orientation, paired_with: file.pair?.originalname || null, dimensions: FRAME_CANVAS[orientation] }
+  };
+}
+
+// === Watch folders ===
+// Folders are polled for new images, which are uploaded like files from the
+// upload modal. Every file seen is logged in watch_files; files whose content
+// was already uploaded (here or through the modal) are skipped.
+
+const WATCH_INTERVAL_SECONDS = parseFloat(process.env.WATCH_INTERVAL_SECONDS ?? '60');
+// Files modified more recently than this may still be syncing
+const WATCH_SETTLE_MS = 30 * 1000;
+const WATCH_MIME_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.tif': 'image/tiff', '.tiff': 'image/tiff', '.heic': 'image/heic', '.heif': 'image/heif',
+  ...Object.fromEntries(RAW_EXTENSIONS.map(ext => [ext, 'image/x-raw']))
+};
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS watchers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT NOT NULL UNIQUE,
+    gallery_id INTEGER,
+    -- { "relative/subfolder": galleryId }, the deepest matching subfolder wins
+    subfolder_galleries_json TEXT,
+    recursive INTEGER DEFAULT 1,
+    enabled INTEGER DEFAULT 1,
+    last_scan_at TEXT,
+    last_error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS watch_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    watcher_id INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    size INTEGER,
+    mtime_ms INTEGER,
+    content_hash TEXT,
+    gallery_id INTEGER,
+    status TEXT NOT NULL,
+    meural_id INTEGER,
+    job_id INTEGER,
+    error TEXT,
+    detected_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (watcher_id, path)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_watch_files_hash ON watch_files(content_hash);
+`));
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Streamed so a large photo doesn't block the event loop while it hashes
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(hash)
+      .on('error', reject)
+      .on('finish', () => resolve(hash.digest('hex')));
+  });
+}
+
+function parseWatcher(row) {
+  const { subfolder_galleries_json, ...rest } = row;
+  return {
+    ...rest,
+    recursive: !!row.recursive,
+    enabled: !!row.enabled,
+    subfolder_galleries: subfolder_galleries_json ? JSON.parse(subfolder_galleries_json) : {}
+  };
+}
+
+// Returns an error message, or null if the watcher is valid
+function validateWatcher(watcher) {
+  if (!watcher.path || typeof watcher.path !== 'string') return 'path is required';
+  if (!path.isAbsolute(watcher.path)) return 'path must be absolute';
+  if (!fs.existsSync(watcher.path) || !fs.statSync(watcher.path).isDirectory()) return `Not a directory: ${watcher.path}`;
+  const galleries = watcher.subfolder_galleries || {};
+  if (typeof galleries !== 'object' || Array.isArray(galleries)) return 'subfolder_galleries must be an object';
+  for (const id of [watcher.gallery_id, ...Object.values(galleries)]) {
+    if (id == null) continue;
+    if (!db.prepare('SELECT 1 FROM galleries WHERE id = ?').get(id)) return `Unknown playlist: ${id}`;
+  }
+  return null;
+}
+
+// Image files under a folder: [{ path, relative, size, mtimeMs }]
+function listWatchedImages(root, recursive) {
+  const found = [];
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) walk(full);
+      } else if (entry.isFile() && WATCH_MIME_TYPES[path.extname(entry.name).toLowerCase()]) {
+        const stat = fs.statSync(full);
+        found.push({ path: full, relative: path.relative(root, full), size: stat.size, mtimeMs: Math.floor(stat.mtimeMs) });
+      }
+    }
+  };
+  walk(root);
+  return found;
+}
+
+// Playlist for a file: the deepest configured subfolder, else the watcher's default
+function watchedFileGallery(watcher, relative) {
+  const parts = path.dirname(relative).split(path.sep).filter(p => p && p !== '.');
+  for (let i = parts.length; i > 0; i--) {
+    const id = watcher.subfolder_galleries[parts.slice(0, i).join('/')];
+    if (id != null) return id;
+  }
+  return watcher.gallery_id ?? null;
+}
+
+// Where content with this hash has already gone, if anywhere
+function findUploadedContent(hash) {
+  const photo = db.prepare(`
+    SELECT p.meural_id FROM photos p JOIN items i ON i.id = p.meural_id AND i.owned = 1
+    WHERE p.content_hash = ? LIMIT 1
+  `).get(hash);
+  if (photo) return { meural_id: photo.meural_id };
+  return db.prepare("SELECT meural_id FROM watch_files WHERE content_hash = ? AND status IN ('queued', 'uploaded') LIMIT 1").get(hash) || null;
+}
+
+// Folders with a scan in flight, keyed by account and watcher, so the
+// interval and a manual scan don't hash and queue the same files twice
+const watcherScans = new Set();
+
+// Detect new or changed images in one folder and queue them for upload
+async function scanWatcher(watcher) {
+  const counts = { found: 0, queued: 0, skipped: 0 };
+  const key = `${currentAccount()?.id}:${watcher.id}`;
+  if (watcherScans.has(key)) return { ...counts, error: 'A scan of this folder is already running' };
+  watcherScans.add(key);
+  const uploads = [];
+  try {
+    const files = listWatchedImages(watcher.path, watcher.recursive);
+    counts.found = files.length;
+
+    for (const file of files) {
+      if (Date.now() - file.mtimeMs < WATCH_SETTLE_MS) continue;
+      const known = db.prepare('SELECT * FROM watch_files WHERE watcher_id = ? AND path = ?').get(watcher.id, file.path);
+      if (known && known.size === file.size && known.mtime_ms === file.mtimeMs) continue;
+
+      const hash = await hashFile(file.path);
+      const uploaded = findUploadedContent(hash);
+      const galleryId = watchedFileGallery(watcher, file.relative);
+      const status = uploaded ? 'skipped' : 'queued';
+      db.prepare(`
+        INSERT INTO watch_files (watcher_id, path, size, mtime_ms, content_hash, gallery_id, status, meural_id, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(watcher_id, path) DO UPDATE SET
+          size = excluded.size, mtime_ms = excluded.mtime_ms, content_hash = excluded.content_hash,
+          gallery_id = excluded.gallery_id, status = excluded.status, meural_id = excluded.meural_id,
+          error = excluded.error, job_id = NULL, updated_at = CURRENT_TIMESTAMP
+      `).run(watcher.id, file.path, file.size, file.mtimeMs, hash, galleryId, status, uploaded?.meural_id ?? null, uploaded ? 'Already uploaded' : null);
+
+      if (uploaded) {
+        counts.skipped++;
+      } else {
+        const { id } = db.prepare('SELECT id FROM watch_files WHERE watcher_id = ? AND path = ?').get(watcher.id, file.path);
+        uploads.push({ target: id });
+      }
+    }
+
+    if (uploads.length) {
+      const job = enqueueJob('watch-upload', uploads, { watcher_id: watcher.id });
+      const setJob = db.prepare('UPDATE watch_files SET job_id = ? WHERE id = ?');
+      uploads.forEach(u => setJob.run(job.id, u.target));
+      counts.queued = uploads.length;
+      counts.job_id = job.id;
+    }
+    db.prepare('UPDATE watchers SET last_scan_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = ?').run(watcher.id);
+  } catch (err) {
+    console.error(`Watch folder ${watcher.path} scan failed:`, err.message);
+    db.prepare('UPDATE watchers SET last_scan_at = CURRENT_TIMESTAMP, last_error = ? WHERE id = ?').run(err.message, watcher.id);
+    counts.error = err.message;
+  } finally {
+    watcherScans.delete(key);
+  }
+  return counts;
+}
+
+async function scanAllWatchers() {
+  const watchers = db.prepare('SELECT * FROM watchers WHERE enabled = 1').all().map(parseWatcher);
+  for (const watcher of watchers) {
+    const counts = await scanWatcher(watcher);
+    if (counts.queued) console.log(`Watch folder ${watcher.path}: queued ${counts.queued} new photo(s)`);
+  }
+}
+
+function startWatchers() {
+  if (!(WATCH_INTERVAL_SECONDS > 0)) return;
+  const scan = () => forEachAccount(() => asActor('watch-folder', scanAllWatchers)
+    .catch(err => console.error('Watch folder scan failed:', err.message)));
+  scan();
+  setInterval(scan, WATCH_INTERVAL_SECONDS * 1000);
+}
+
+jobHandlers['watch-upload'] = {
+  role: 'admin',
+  concurrency: 2,
+  async processItem(target, payload, job, item) {
+    const row = db.prepare('SELECT * FROM watch_files WHERE id = ?').get(target);
+    if (!row) throw new Error('No longer in the ingestion log');
+    const fail = message => {
+      db.prepare("UPDATE watch_files SET status = 'failed', error = ?, job_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(message, job.id, row.id);
+      return new Error(message);
+    };
+    if (!fs.existsSync(row.path)) throw fail('File no longer exists');
+
+    // uploadSinglePhoto removes its input on success; never hand it the watched original
+    const copyPath = path.join(uploadDir, `watch-${row.id}-${Date.now()}`);
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.copyFileSync(row.path, copyPath);
+    const file = { path: copyPath, originalname: path.basename(row.path), mimetype: WATCH_MIME_TYPES[path.extname(row.path).toLowerCase()] };
+
+    let result;
+    try {
+      result = await uploadSinglePhoto(file, 1, { describe: true, galleryId: row.gallery_id, reconcile: mayHaveApplied(item) });
+    } catch (err) {
+      fs.rmSync(copyPath, { force: true });
+      throw fail(err.message);
+    }
+    if (!result.success) {
+      fs.rmSync(copyPath, { force: true });
+      throw fail(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+    }
+
+    let error = null;
+    if (row.gallery_id) {
+      try {
+        checkMeural(await setGalleryMembership(row.gallery_id, result.meural_id, true));
+      } catch (err) {
+        error = `Uploaded, but adding to playlist failed: ${err.message}`;
+      }
+    }
+    db.prepare("UPDATE watch_files SET status = 'uploaded', meural_id = ?, error = ?, job_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?")
+      .run(result.meural_id, error, job.id, row.id);
+    return { ...result, watch_file_id: row.id, gallery_id: row.gallery_id };
+  },
+  async onFinish(job) {
+    if (job.succeeded > 0) await syncAllSmartPlaylists('watch');
+  }
+};
+
+// === Geocoding ===
+// GPS coordinates become place names through a chain of providers: by default
+// the offline gazetteer (GeoNames cities in the main database, nearest city
+// within GEOCODER_MAX_KM), then Nominatim for anything it can't answer.
+// Results are cached in SQLite by rounded coordinates, and Nominatim calls
+// are throttled to its usage policy of one request per second.
+
+const GEOCODER = (process.env.GEOCODER || 'offline').toLowerCase();
+const GEOCODER_FALLBACK = (process.env.GEOCODER_FALLBACK || 'nominatim').toLowerCase();
+const GEOCODE_PROVIDERS = [...new Set([GEOCODER, GEOCODER_FALLBACK])].filter(p => p !== 'none');
+const GEOCODER_MAX_KM = parseFloat(process.env.GEOCODER_MAX_KM) || 50;
+const GEOCODE_CACHE_PRECISION = 3; // decimal places, about 100 m
+const GEONAMES_FILE = process.env.GEONAMES_FILE || null;
+const GEONAMES_URL = process.env.GEONAMES_URL || 'https://download.geonames.org/export/dump';
+const GEONAMES_DATASET = process.env.GEONAMES_DATASET || 'cities1000';
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const NOMINATIM_INTERVAL_MS = 1100;
+
+mainDb.exec(`
+  CREATE TABLE IF NOT EXISTS geonames (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    country_code TEXT,
+    admin1 TEXT,
+    population INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_geonames_position ON geonames(latitude, longitude);
+
+  -- result_json is NULL for places no provider could name
+  CREATE TABLE IF NOT EXISTS geocode_cache (
+    key TEXT PRIMARY KEY,
+    provider TEXT,
+    result_json TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+const geocodeRequests = new Map();
+
+function geocodeKey(lat, lon) {
+  return `${Number(lat).toFixed(GEOCODE_CACHE_PRECISION)},${Number(lon).toFixed(GEOCODE_CACHE_PRECISION)}`;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lon2 - lon1) * rad / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+let regionNames = null;
+function countryName(code) {
+  if (!code) return null;
+  try {
+    regionNames = regionNames || new Intl.DisplayNames(['en'], { type: 'region' });
+    return regionNames.of(code.toUpperCase()) || code;
+  } catch (err) {
+    return code;
+  }
+}
+
+function placeResult(city, state, country, countryCode, source) {
+  return {
+    display_name: [city, state, country].filter(Boolean).join(', ') || null,
+    city: city || null,
+    state: state || null,
+    country: country || null,
+    country_code: countryCode ? countryCode.toLowerCase() : null,
+    source
+  };
+}
+
+const geocodeProviders = {
+  // Nearest gazetteer city: scan the box around the point, then measure
+  async offline(lat, lon) {
+    if (!mainDb.prepare('SELECT 1 FROM geonames LIMIT 1').get()) throw new Error('No gazetteer imported yet');
+    const dLat = GEOCODER_MAX_KM / 111;
+    const dLon = Math.min(GEOCODER_MAX_KM / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.01)), 180);
+    const [west, east] = [lon - dLon, lon + dLon];
+    // Boxes that cross the antimeridian wrap around
+    const lonClause = west < -180 || east > 180 ? '(longitude >= ? OR longitude <= ?)' : 'longitude BETWEEN ? AND ?';
+    const lonParams = west < -180 ? [west + 360, east] : east > 180 ? [west, east - 360] : [west, east];
+    const candidates = mainDb.prepare(`SELECT * FROM geonames WHERE latitude BETWEEN ? AND ? AND ${lonClause}`)
+      .all(lat - dLat, lat + dLat, ...lonParams);
+    let best = null;
+    for (const place of candidates) {
+      const km = distanceKm(lat, lon, place.latitude, place.longitude);
+      if (km <= GEOCODER_MAX_KM && (!best || km < best.km)) best = { place, km };
+    }
+    if (!best) return null;
+    const { place } = best;
+    return { ...placeResult(place.name, place.admin1, countryName(place.country_code), place.country_code, 'offline'), distance_km: Math.round(best.km * 10) / 10 };
+  },
+
+  async nominatim(lat, lon) {
+    const data = await throttleNominatim(async () => {
+      const response = await fetch(
+        `${NOMINATIM_URL}/reverse?lat=${lat}&lon=${lon}&format=json`,
+        { headers: { 'User-Agent': 'MeuralManager/1.0' } }
+      );
+      if (!response.ok) throw new Error(`Nominatim returned HTTP ${response.status}`);
+      return response.json();
+    });
+    if (data.error || !data.address) return null;
+    const city = data.address.city || data.address.town || data.address.village || null;
+    const result = placeResult(city, data.address.state, data.address.country, data.address.country_code, 'nominatim');
+    return { ...result, display_name: result.display_name || data.display_name };
+  }
+};
+
+GEOCODE_PROVIDERS.filter(p => !geocodeProviders[p]).forEach(p => console.warn(`Unknown geocoder "${p}"; use offline, nominatim or none`));
+
+// Nominatim calls run one at a time, NOMINATIM_INTERVAL_MS apart
+let nominatimChain = Promise.resolve();
+let nominatimNextAt = 0;
+function throttleNominatim(fn) {
+  const run = nominatimChain.then(async () => {
+    const wait = nominatimNextAt - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    try {
+      return await fn();
+    } finally {
+      nominatimNextAt = Date.now() + NOMINATIM_INTERVAL_MS;
+    }
+  });
+  nominatimChain = run.catch(() => {});
+  return run;
+}
+
+// Reverse geocode GPS coordinates to a place name. Returns
+// { display_name, city, state, country, country_code, source } or null.
+async function reverseGeocode(lat, lon) {
+  if (lat == null || lon == null || isNaN(lat) || isNaN(lon)) return null;
+  const key = geocodeKey(lat, lon);
+  const cached = mainDb.prepare('SELECT result_json FROM geocode_cache WHERE key = ?').get(key);
+  if (cached) return cached.result_json ? JSON.parse(cached.result_json) : null;
+  if (geocodeRequests.has(key)) return geocodeRequests.get(key);
+
+  const request = (async () => {
+    let failed = false;
+    for (const provider of GEOCODE_PROVIDERS) {
+      try {
+        if (!geocodeProviders[provider]) continue;
+        const result = await geocodeProviders[provider](Number(lat), Number(lon));
+        if (!result) continue;
+        mainDb.prepare('INSERT OR REPLACE INTO geocode_cache (key, provider, result_json) VALUES (?, ?, ?)').run(key, provider, JSON.stringify(result));
+        return result;
+      } catch (err) {
+        console.error(`Geocoding with ${provider} failed:`, err.message);
+        failed = true;
+      }
+    }
+    // Remember places nobody could name, but not lookups that failed
+    if (!failed) mainDb.prepare('INSERT OR REPLACE INTO geocode_cache (key, provider, result_json) VALUES (?, NULL, NULL)').run(key);
+    return null;
+  })().finally(() => geocodeRequests.delete(key));
+  geocodeRequests.set(key, request);
+  return request;
+}
+
+// The contents of one file in a zip archive (GeoNames publishes zips)
+function unzipEntry(buffer, name) {
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error('Not a zip file');
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < entries; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (entryName === name) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  throw new Error(`${name} not found in the zip`);
+}
+
+// GeoNames admin1CodesASCII.txt: "US.CA<TAB>California<TAB>..." -> { 'US.CA': 'California' }
+function parseAdmin1Names(text) {
+  const names = {};
+  for (const line of text.split('\n')) {
+    const [code, name] = line.split('\t');
+    if (code && name) names[code] = name;
+  }
+  return names;
+}
+
+// Replace the gazetteer with a GeoNames cities file (the tab-separated
+// citiesNNNN.txt format). Clears the geocode cache. Returns the city count.
+const importGazetteerRows = mainDb.transaction(rows => {
+  mainDb.prepare('DELETE FROM geonames').run();
+  const insert = mainDb.prepare('INSERT OR REPLACE INTO geonames (id, name, latitude, longitude, country_code, admin1, population) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  rows.forEach(r => insert.run(...r));
+  mainDb.prepare('DELETE FROM geocode_cache').run();
+});
+
+function importGazetteer(citiesText, admin1Names = {}) {
+  const rows = [];
+  for (const line of citiesText.split('\n')) {
+    const cols = line.split('\t');
+    if (cols.length < 15) continue;
+    const [id, name, , , lat, lon, , , countryCode, , admin1Code] = cols;
+    if (isNaN(parseFloat(lat)) || isNaN(parseFloat(lon))) continue;
+    rows.push([parseInt(id), name, parseFloat(lat), parseFloat(lon), countryCode || null,
+      admin1Names[`${countryCode}.${admin1Code}`] || null, parseInt(cols[14]) || 0]);
+  }
+  if (rows.length === 0) throw new Error('No cities found; expected a GeoNames cities file');
+  importGazetteerRows(rows);
+  return rows.length;
+}
+
+// Load the gazetteer from GEONAMES_FILE (a .txt or .zip, with
+// admin1CodesASCII.txt beside it for state names) or download it from GeoNames
+async function loadGazetteer() {
+  if (GEONAMES_FILE) {
+    const buffer = fs.readFileSync(GEONAMES_FILE);
+    const text = GEONAMES_FILE.endsWith('.zip')
+      ? unzipEntry(buffer, `${path.basename(GEONAMES_FILE, '.zip')}.txt`).toString('utf8')
+      : buffer.toString('utf8');
+    const admin1Path = path.join(path.dirname(GEONAMES_FILE), 'admin1CodesASCII.txt');
+    const admin1 = fs.existsSync(admin1Path) ? parseAdmin1Names(fs.readFileSync(admin1Path, 'utf8')) : {};
+    return { cities: importGazetteer(text, admin1), source: GEONAMES_FILE };
+  }
+
+  const download = async file => {
+    const response = await fetch(`${GEONAMES_URL}/${file}`);
+    if (!response.ok) throw new Error(`Downloading ${file} failed: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  };
+  const zip = await download(`${GEONAMES_DATASET}.zip`);
+  const admin1 = parseAdmin1Names((await download('admin1CodesASCII.txt')).toString('utf8'));
+  const text = unzipEntry(zip, `${GEONAMES_DATASET}.txt`).toString('utf8');
+  return { cities: importGazetteer(text, admin1), source: `${GEONAMES_URL}/${GEONAMES_DATASET}.zip` };
+}
+
+function gazetteerSize() {
+  return mainDb.prepare('SELECT COUNT(*) AS count FROM geonames').get().count;
+}
+
+// Fill an empty gazetteer at startup when the offline provider is in use
+function startGazetteer() {
+  if (!GEOCODE_PROVIDERS.includes('offline') || gazetteerSize() > 0) return;
+  console.log(`Loading the offline gazetteer from ${GEONAMES_FILE || `${GEONAMES_URL}/${GEONAMES_DATASET}.zip`}...`);
+  loadGazetteer()
+    .then(({ cities }) => console.log(`Offline gazetteer ready: ${cities} cities`))
+    .catch(err => console.error('Loading the offline gazetteer failed:', err.message));
+}
+
+// === EXIF backfill ===
+// Photos uploaded from the Meural app or website have no photos row. The
+// backfill job reads whatever EXIF Meural's copy still has, geocodes its GPS
+// and notes copies Meural stripped. Given an originals folder (ORIGINALS_DIR,
+// or originals_dir per run) it looks for each photo's original by filename,
+// capture time or perceptual hash and takes the full EXIF from that instead.
+
+const ORIGINALS_DIR = process.env.ORIGINALS_DIR || null;
+const ORIGINAL_MATCHERS = ['filename', 'time', 'hash'];
+
+migrate(() => {
+  // exif_stripped is 1 when Meural's copy had no capture metadata left;
+  // original_path is the local file the EXIF came from (exif_source 'original')
+  addColumnIfMissing('photos', 'exif_stripped', 'INTEGER');
+  addColumnIfMissing('photos', 'original_path', 'TEXT');
+});
+
+// Local originals, reread only when a file changes. Shared by every account.
+mainDb.exec(`
+  CREATE TABLE IF NOT EXISTS originals_index (
+    path TEXT PRIMARY KEY,
+    root TEXT NOT NULL,
+    name_key TEXT,
+    size INTEGER,
+    mtime_ms INTEGER,
+    date_taken TEXT,
+    dhash TEXT,
+    phash TEXT,
+    indexed_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_originals_root ON originals_index(root, name_key);
+`);
+
+// Names compare without case or an image extension: "IMG_1234.HEIC" matches "img_1234"
+function filenameKey(name) {
+  if (!name) return null;
+  const base = path.basename(String(name));
+  const ext = path.extname(base).toLowerCase();
+  return (WATCH_MIME_TYPES[ext] ? base.slice(0, -ext.length) : base).toLowerCase();
+}
+
+// Meural's copy kept none of the capture metadata
+function exifStripped(exif) {
+  return !exif.date_taken && !exif.camera_make && !exif.camera_model && exif.gps_latitude == null;
+}
+
+// Returns an error message, or null when the folder can be read
+function validateOriginalsDir(dir) {
+  if (typeof dir !== 'string' || !path.isAbsolute(dir)) return 'originals_dir must be an absolute path';
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return `Not a directory: ${dir}`;
+  return null;
+}
+
+// Originals are read this many at a time, one job item per batch
+const ORIGINALS_INDEX_BATCH = 25;
+
+// Files of a folder that are new or changed since they were indexed: [{ path,
+// size, mtimeMs }]. Rows of removed files are dropped.
+function staleOriginals(root) {
+  const files = listWatchedImages(root, true);
+  const known = new Map(mainDb.prepare('SELECT path, size, mtime_ms FROM originals_index WHERE root = ?').all(root).map(r => [r.path, r]));
+  const stale = [];
+  for (const file of files) {
+    const row = known.get(file.path);
+    known.delete(file.path);
+    if (!row || row.size !== file.size || row.mtime_ms !== file.mtimeMs) stale.push({ path: file.path, size: file.size, mtimeMs: file.mtimeMs });
+  }
+  const remove = mainDb.prepare('DELETE FROM originals_index WHERE path = ?');
+  for (const gone of known.keys()) remove.run(gone);
+  return stale;
+}
+
+// Read originals into the index. HEIC and RAW files are converted the way an
+// upload would be, so their hashes compare with Meural's copies; one that
+// can't be converted is still indexed by name and capture time.
+async function indexOriginals(root, files) {
+  const upsert = mainDb.prepare(`
+    INSERT INTO originals_index (path, root, name_key, size, mtime_ms, date_taken, dhash, phash)
+    VALUES (@path, @root, @name_key, @size, @mtime_ms, @date_taken, @dhash, @phash)
+    ON CONFLICT(path) DO UPDATE SET root = excluded.root, name_key = excluded.name_key, size = excluded.size,
+      mtime_ms = excluded.mtime_ms, date_taken = excluded.date_taken, dhash = excluded.dhash,
+      phash = excluded.phash, indexed_at = CURRENT_TIMESTAMP
+  `);
+  let read = 0, unconverted = 0;
+  for (const file of files) {
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(file.path);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue; // removed since the job was queued
+      throw err;
+    }
+    let hashes = { dhash: null, phash: null };
+    try {
+      hashes = await computeImageHashes((await normalizeImage(buffer, file.path)).buffer);
+    } catch (err) {
+      console.error(`Original ${file.path}:`, err.message);
+      unconverted++;
+    }
+    upsert.run({
+      path: file.path, root, name_key: filenameKey(file.path), size: file.size, mtime_ms: file.mtimeMs,
+      date_taken: extractExif(buffer, file.path).date_taken || null, ...hashes
+    });
+    read++;
+  }
+  return { root, files: files.length, read, unconverted };
+}
+
+// The original of a library photo, or null. Methods are tried in the given
+// order; a filename or time that fits several files is settled by hash.
+function findOriginal(root, { names, date_taken, dhash, phash }, methods = ORIGINAL_MATCHERS) {
+  const distance = file => (dhash && phash && file.dhash && file.phash
+    ? hammingDistance(dhash, file.dhash) + hammingDistance(phash, file.phash)
+    : null);
+  const closest = (files, matchedBy) => {
+    if (!files.length) return null;
+    const [best] = files.map(f => ({ path: f.path, matched_by: matchedBy, distance: distance(f) }))
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    return best;
+  };
+
+  for (const method of methods) {
+    let match = null;
+    if (method === 'filename') {
+      const keys = [...new Set(names.map(filenameKey).filter(Boolean))];
+      if (keys.length) {
+        match = closest(mainDb.prepare(`SELECT * FROM originals_index WHERE root = ? AND name_key IN (${keys.map(() => '?').join(', ')})`)
+          .all(root, ...keys), 'filename');
+      }
+    } else if (method === 'time' && date_taken) {
+      match = closest(mainDb.prepare('SELECT * FROM originals_index WHERE root = ? AND date_taken = ?').all(root, date_taken), 'time');
+    } else if (method === 'hash' && dhash && phash) {
+      const similar = mainDb.prepare('SELECT * FROM originals_index WHERE root = ? AND dhash IS NOT NULL AND phash IS NOT NULL').all(root)
+        .filter(file => isNearDuplicate({ dhash, phash }, file));
+      match = closest(similar, 'hash');
+    }
+    if (match) return match;
+  }
+  return null;
+}
+
+// Build a photo's row from Meural's copy, or from its original when one is found
+async function backfillItemExif(id, { originalsDir = null, match = ORIGINAL_MATCHERS } = {}) {
+  const row = db.prepare('SELECT data_json FROM items WHERE id = ?').get(id);
+  if (!row) throw new Error('Not found');
+  const item = JSON.parse(row.data_json);
+  const imageUrl = item.image || item.image_large;
+  if (!imageUrl) throw new Error('No image URL');
+
+  const buffer = await fetchImageBuffer(imageUrl);
+  const hashes = await computeImageHashes(buffer);
+  const copy = extractExif(buffer, item.name);
+  const stripped = exifStripped(copy);
+  const previous = db.prepare('SELECT original_filename FROM photos WHERE meural_id = ?').get(id);
+
+  let exif = copy;
+  let filename = item.name || null;
+  let original = null;
+  if (originalsDir) {
+    original = findOriginal(originalsDir, { names: [item.name, previous?.original_filename], date_taken: copy.date_taken, ...hashes }, match);
+    if (original) {
+      exif = extractExif(fs.readFileSync(original.path), original.path);
+      filename = path.basename(original.path);
+    }
+  }
+
+  let location = null;
+  if (exif.gps_latitude != null && exif.gps_longitude != null) {
+    location = await reverseGeocode(exif.gps_latitude, exif.gps_longitude);
+  }
+  savePhotoExif(id, filename, {
+    ...exif, ...hashes,
+    location_name: location?.display_name || null,
+    exif_source: original ? 'original' : 'meural'
+  });
+  db.prepare('UPDATE photos SET exif_stripped = ?, original_path = ? WHERE meural_id = ?')
+    .run(stripped ? 1 : 0, original?.path || null, id);
+
+  return {
+    id,
+    source: original ? 'original' : 'meural',
+    stripped,
+    date_taken: exif.date_taken || null,
+    camera_model: exif.camera_model || null,
+    location_name: location?.display_name || null,
+    original
+  };
+}
+
+// With an originals folder the first items are "index" batches of changed
+// files, which the photos wait for
+jobHandlers['exif-backfill'] = {
+  async processItem(target, payload, job) {
+    const originalsDir = job.params.originals_dir || null;
+    if (target === 'index') return indexOriginals(originalsDir, payload.files);
+    if (originalsDir) {
+      const unindexed = db.prepare("SELECT COUNT(*) AS count FROM job_items WHERE job_id = ? AND target = 'index' AND status != 'succeeded'").get(job.id).count;
+      if (unindexed > 0) throw new Error('The originals folder couldn\'t be indexed');
+    }
+    return backfillItemExif(parseInt(target), { originalsDir, match: job.params.match });
+  },
+  async onFinish(job) {
+    if (job.succeeded > 0) await syncAllSmartPlaylists('exif-backfill');
+  }
+};
+
+// === Bulk metadata edits ===
+// Set name, description, year, artist and medium across many items. Each
+// field is either rendered from a template of EXIF and item values, e.g.
+//   "{location_city} · {season} {year}" or "{camera_model}, {focal_length}mm f/{aperture}"
+// or rewritten with find-and-replace (plain text or a regular expression).
+// The plan is computed up front, so the preview is exactly what gets applied.
+
+// Editable fields and their Meural names (Meural calls the artist "author")
+const BULK_EDIT_FIELDS = { name: 'name', description: 'description', year: 'year', artist: 'author', medium: 'medium' };
+const BULK_EDIT_MODES = ['template', 'replace', 'regex'];
+
+// Placeholders a template can use: the smart playlist fields, the item's
+// current values and a reverse-geocoded location
+const TEMPLATE_FIELDS = [
+  ...Object.keys(SMART_FIELDS), 'month_name', 'date', 'filename',
+  'location_city', 'location_state', 'location_country',
+  'id', 'name', 'description', 'artist', 'medium'
+];
+const TEMPLATE_PATTERN = /\{([a-z_0-9]+)(?:\|([^}]*))?\}/g;
+
+// Regular expressions come from the request, so they are capped in size and
+// run with a time limit: one that backtracks catastrophically fails its item
+// instead of blocking the server
+const REGEX_MAX_PATTERN = 500;
+const REGEX_MAX_INPUT = 10000;
+const REGEX_TIMEOUT_MS = 100;
+const regexContext = vm.createContext({});
+
+// Returns an error message for an invalid edit request, or null
+function validateBulkEdit(fields) {
+  if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+    return `fields must name at least one of: ${Object.keys(BULK_EDIT_FIELDS).join(', ')}`;
+  }
+  for (const [field, edit] of Object.entries(fields)) {
+    if (!BULK_EDIT_FIELDS[field]) return `Unknown field: ${field}`;
+    if (!edit || !BULK_EDIT_MODES.includes(edit.mode)) return `${field}: mode must be one of ${BULK_EDIT_MODES.join(', ')}`;
+    if (edit.mode === 'template') {
+      if (typeof edit.template !== 'string') return `${field}: template must be a string`;
+      for (const [, name] of edit.template.matchAll(TEMPLATE_PATTERN)) {
+        if (!TEMPLATE_FIELDS.includes(name)) return `${field}: unknown template field {${name}}`;
+      }
+    } else {
+      if (typeof edit.find !== 'string' || edit.find === '') return `${field}: find must be a non-empty string`;
+      if (edit.replace != null && typeof edit.replace !== 'string') return `${field}: replace must be a string`;
+      if (edit.mode === 'regex') {
+        if (edit.find.length > REGEX_MAX_PATTERN) return `${field}: find must be at most ${REGEX_MAX_PATTERN} characters`;
+        try { new RegExp(edit.find, edit.flags || ''); } catch (err) { return `${field}: ${err.message}`; }
+      }
+    }
+  }
+  return null;
+}
+
+// Numbers without float noise: 50.0 -> "50", 2.8000001 -> "2.8"
+function formatTemplateValue(value) {
+  if (value == null || value === '' || value === false) return '';
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  return String(value);
+}
+
+// Render a template; placeholders without a value become their fallback
+// ({name|fallback}) or disappear along with the separators around them.
+// A template none of whose placeholders has a value renders as ''.
+function renderTemplate(template, values) {
+  let placeholders = 0, filled = 0;
+  const rendered = template.replace(TEMPLATE_PATTERN, (_, name, fallback) => {
+    placeholders++;
+    const value = formatTemplateValue(values[name]) || fallback || '';
+    if (value) filled++;
+    return value || '\u0000';
+  });
+  if (placeholders > 0 && filled === 0) return '';
+  return rendered
+    .replace(/\u0000\s*[·|,\-–—]?\s*/g, '')
+    .replace(/^[\s·|,\-–—]+|[\s·|,\-–—]+$/g, '')
+    .replace(/\s{2,}/g, ' ');
+}
+
+async function templateValues(item, photo, geocode, locale = 'en-US') {
+  const facts = smartFieldsFor(photo || {});
+  const date = photo?.date_taken ? new Date(photo.date_taken) : null;
+  const values = {
+    ...facts,
+    season: localizedSeason(facts.season, locale),
+    year: facts.year ?? item.year ?? null,
+    month_name: date ? date.toLocaleDateString(locale, { month: 'long' }) : null,
+    date: date ? date.toLocaleDateString(locale, { month: 'long', day: 'numeric', year: 'numeric' }) : null,
+    filename: photo?.original_filename ? path.parse(photo.original_filename).name : null,
+    id: item.id,
+    name: item.name ?? null,
+    description: item.description ?? null,
+    artist: item.author ?? null,
+    medium: item.medium ?? null
+  };
+  if (geocode && facts.has_gps) {
+    const location = await geocode(photo.gps_latitude, photo.gps_longitude);
+    values.location_city = location?.city || null;
+    values.location_state = location?.state || null;
+    values.location_country = location?.country || null;
+  }
+  return values;
+}
+
+function regexReplace(text, pattern, flags, replacement) {
+  if (text.length > REGEX_MAX_INPUT) throw new Error(`Too long for a regular expression (over ${REGEX_MAX_INPUT} characters)`);
+  Object.assign(regexContext, { text, re: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`), replacement });
+  try {
+    return vm.runInContext('text.replace(re, replacement)', regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (err) {
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error('The regular expression took too long');
+    throw err;
+  }
+}
+
+function applyFieldEdit(current, edit, values) {
+  const text = current == null ? '' : String(current);
+  if (edit.mode === 'template') return renderTemplate(edit.template, values);
+  if (edit.mode === 'replace') return text.split(edit.find).join(edit.replace ?? '');
+  return regexReplace(text, edit.find, edit.flags || '', edit.replace ?? '');
+}
+
+// What a bulk edit would change: one entry per item with its current values,
+// the changed fields (in Meural's names) or the reason it can't be edited
+async function planBulkEdit(ids, fields) {
+  const usesLocation = Object.values(fields).some(edit => edit.mode === 'template' && /\{location_/.test(edit.template));
+  const geocode = usesLocation ? reverseGeocode : null;
+
+  const plan = [];
+  for (const rawId of ids) {
+    const id = parseInt(rawId);
+    const row = db.prepare('SELECT data_json FROM items WHERE id = ?').get(id);
+    if (!row) {
+      plan.push({ id, error: 'Not in the library' });
+      continue;
+    }
+    const item = parseRow(row);
+    const photo = db.prepare('SELECT * FROM photos WHERE meural_id = ?').get(id);
+    const values = await templateValues(item, photo, geocode);
+
+    const before = {};
+    const changes = {};
+    let error = null;
+    for (const [field, edit] of Object.entries(fields)) {
+      const meuralField = BULK_EDIT_FIELDS[field];
+      const current = item[meuralField] == null ? '' : String(item[meuralField]);
+      let next;
+      try {
+        next = applyFieldEdit(current, edit, values);
+      } catch (err) {
+        error = `${field}: ${err.message}`;
+        continue;
+      }
+      // A template with nothing to fill in leaves the field alone
+      if (next === current || (edit.mode === 'template' && next === '')) continue;
+      if (field === 'year' && next !== '' && !/^\d{1,4}$/.test(next)) {
+        error = `Year must be a number, got "${next}"`;
+        continue;
+      }
+      before[field] = current;
+      changes[field] = next;
+    }
+    plan.push({ id, name: item.name || null, before, after: changes, error });
+  }
+  return plan;
+}
+
+// Bulk edit fields -> the body for PUT /items/:id
+function meuralFields(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([field, value]) => [BULK_EDIT_FIELDS[field], value]));
+}
+
+jobHandlers['bulk-edit'] = {
+  async processItem(target, changes) {
+    const id = parseInt(target);
+    checkMeural(await updateItemMetadata(id, meuralFields(changes)));
+    return { id, success: true, fields: changes };
+  }
+};
+
+// === Captions ===
+// Captions come from a pluggable provider: the hosted Anthropic API, any
+// OpenAI-compatible vision endpoint (Ollama, llama.cpp, LM Studio) so photos
+// never leave the house, or "template", which sends nothing anywhere and
+// builds descriptions from EXIF and location alone. The provider, prompt,
+// description style and output language can be overridden per playlist;
+// unset fields fall back to the environment defaults below.
+//
+// Every analysis is kept with its provider, model, prompt version and the
+// tags the model gave (subjects, people, indoor/outdoor) plus dominant colors
+// measured locally. Analyzing again with the same provider, model and prompt
+// reuses the latest one instead of paying for the image twice.
+
+// Asked of every provider after the caption prompt, so one call returns tags too
+const CAPTION_TAGS_INSTRUCTION = 'Reply with JSON only, no other text: {"caption": "<the caption>", "subjects": ["<up to 5 main subjects, in English>"], "people_count": <number of people visible>, "setting": "indoor" or "outdoor"}';
+const DEFAULT_CAPTION_PROMPT = 'Describe this photo in 3-6 words for a digital frame caption. Focus on the subject, activity, or mood. Be poetic but concise. Examples: "Kids playing in autumn leaves", "Golden hour on the beach", "Birthday candles and laughter", "Quiet morning with coffee". Just give the caption, nothing else.';
+const CAPTION_STYLES = ['smart', 'caption', 'template'];
+const CAPTION_SETTING_FIELDS = ['provider', 'prompt', 'style', 'template', 'language'];
+const CAPTION_MAX_TOKENS = parseInt(process.env.CAPTION_MAX_TOKENS) || 150;
+const CAPTION_IMAGE_MAX_PX = parseInt(process.env.CAPTION_IMAGE_MAX_PX) || 1568;
+const ANTHROPIC_VISION_MODEL = process.env.ANTHROPIC_VISION_MODEL || 'claude-sonnet-4-20250514';
+const LOCAL_VISION_URL = (process.env.LOCAL_VISION_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LOCAL_VISION_MODEL = process.env.LOCAL_VISION_MODEL || 'llava';
+const LOCAL_VISION_TIMEOUT_MS = parseInt(process.env.LOCAL_VISION_TIMEOUT_MS) || 120000;
+
+const CAPTION_DEFAULTS = {
+  provider: process.env.CAPTION_PROVIDER || (anthropic ? 'anthropic' : 'template'),
+  prompt: process.env.CAPTION_PROMPT || DEFAULT_CAPTION_PROMPT,
+  style: process.env.CAPTION_STYLE || 'smart',
+  template: process.env.CAPTION_TEMPLATE || null,
+  language: process.env.CAPTION_LANGUAGE || null
+};
+
+migrate(() => db.exec(`
+  CREATE TABLE IF NOT EXISTS caption_settings (
+    gallery_id INTEGER PRIMARY KEY,
+    provider TEXT,
+    prompt TEXT,
+    style TEXT,
+    template TEXT,
+    language TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS analyses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT,
+    prompt_version TEXT,
+    caption TEXT,
+    smart_description TEXT,
+    subjects_json TEXT,
+    people_count INTEGER,
+    setting TEXT,
+    colors_json TEXT,
+    gallery_id INTEGER,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_analyses_item ON analyses(item_id, id);
+`));
+
+// Each provider turns an image into a short caption, or null for none.
+// Errors are caught by analyzeImageWithVision.
+const captionProviders = {
+  anthropic: {
+    label: 'Anthropic (hosted)',
+    model: ANTHROPIC_VISION_MODEL,
+    available: () => Boolean(anthropic),
+    async caption(image, mimeType, prompt) {
+      const response = await anthropic.messages.create({
+        model: ANTHROPIC_VISION_MODEL,
+        max_tokens: CAPTION_MAX_TOKENS,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: mimeType, data: image.toString('base64') } },
+            { type: 'text', text: prompt }
+          ]
+        }]
+      });
+      return response.content[0]?.text;
+    }
+  },
+
+  openai: {
+    label: `Local vision model (${LOCAL_VISION_MODEL})`,
+    model: LOCAL_VISION_MODEL,
+    available: () => Boolean(LOCAL_VISION_URL),
+    async caption(image, mimeType, prompt) {
+      const response = await fetch(`${LOCAL_VISION_URL}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.LOCAL_VISION_API_KEY ? { Authorization: `Bearer ${process.env.LOCAL_VISION_API_KEY}` } : {})
+        },
+        body: JSON.stringify({
+          model: LOCAL_VISION_MODEL,
+          max_tokens: CAPTION_MAX_TOKENS,
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image.toString('base64')}` } }
+            ]
+          }]
+        }),
+        signal: AbortSignal.timeout(LOCAL_VISION_TIMEOUT_MS)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error?.message || data.error || `${LOCAL_VISION_URL} returned HTTP ${response.status}`);
+      return data.choices?.[0]?.message?.content;
+    }
+  },
+
+  template: {
+    label: 'Template only (no image analysis)',
+    model: null,
+    available: () => true,
+    async caption() {
+      return null;
+    }
+  }
+};
+
+// English name of a language code ("fr" -> "French"), or null if it isn't one
+function languageName(code) {
+  try {
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+    return name && name !== code ? name : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns an error message for invalid caption settings, or null.
+// Fields left out or null inherit the defaults.
+function validateCaptionSettings(settings) {
+  if (!settings || typeof settings !== 'object') return 'Body must be an object';
+  const { provider, prompt, style, template, language } = settings;
+  if (provider != null && !captionProviders[provider]) return `provider must be one of ${Object.keys(captionProviders).join(', ')}`;
+  if (style != null && !CAPTION_STYLES.includes(style)) return `style must be one of ${CAPTION_STYLES.join(', ')}`;
+  if (prompt != null && (typeof prompt !== 'string' || !prompt.trim() || prompt.length > 2000)) return 'prompt must be a non-empty string of at most 2000 characters';
+  if (template != null) {
+    if (typeof template !== 'string' || !template.trim()) return 'template must be a non-empty string';
+    for (const [, name] of template.matchAll(TEMPLATE_PATTERN)) {
+      if (name !== 'caption' && !TEMPLATE_FIELDS.includes(name)) return `Unknown template field {${name}}`;
+    }
+  }
+  if (language != null && (typeof language !== 'string' || !languageName(language))) return 'language must be a language code such as "en", "fr" or "pt-BR"';
+  if ((style ?? CAPTION_DEFAULTS.style) === 'template' && !(template ?? CAPTION_DEFAULTS.template)) return 'The template style needs a template';
+  return null;
+}
+
+// The caption settings for an item: the given playlist's, else those of the
+// first playlist the item is in that has any, layered over the defaults
+function captionSettingsFor({ itemId = null, galleryId = null } = {}) {
+  let row = galleryId ? db.prepare('SELECT * FROM caption_settings WHERE gallery_id = ?').get(galleryId) : null;
+  if (!row && itemId) {
+    row = db.prepare(`
+      SELECT cs.* FROM caption_settings cs
+      JOIN gallery_items gi ON gi.gallery_id = cs.gallery_id
+      WHERE gi.item_id = ?
+      ORDER BY cs.gallery_id LIMIT 1
+    `).get(itemId);
+  }
+  const settings = { ...CAPTION_DEFAULTS, gallery_id: row?.gallery_id ?? null };
+  for (const field of CAPTION_SETTING_FIELDS) {
+    if (row?.[field] != null) settings[field] = row[field];
+  }
+  return settings;
+}
+
+// Models answer with quotes, trailing periods and the odd preamble line
+function cleanCaption(text) {
+  if (typeof text !== 'string') return null;
+  const line = text.trim().split('\n').filter(Boolean).pop() || '';
+  const caption = line.replace(/^caption:\s*/i, '').replace(/^["'“”]+|["'“”]+$/g, '').replace(/\.$/, '').trim();
+  return caption || null;
+}
+
+// Vision models don't look at more pixels than this anyway; smaller uploads
+// keep local models fast and stay under hosted request limits
+async function captionImage(imageBuffer, mimeType) {
+  try {
+    const image = await sharp(imageBuffer)
+      .rotate()
+      .resize(CAPTION_IMAGE_MAX_PX, CAPTION_IMAGE_MAX_PX, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+    return { image, mimeType: 'image/jpeg' };
+  } catch {
+    return { image: imageBuffer, mimeType: mimeType || 'image/jpeg' };
+  }
+}
+
+// The full prompt for some settings, and a short version ID for it
+function captionPrompt(settings) {
+  const language = settings.language && languageName(settings.language);
+  const prompt = [settings.prompt, language ? `Write the caption in ${language}.` : null, CAPTION_TAGS_INSTRUCTION]
+    .filter(Boolean).join('\n\n');
+  return { prompt, version: crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8) };
+}
+
+// The JSON reply asked for by CAPTION_TAGS_INSTRUCTION. Models that answer
+// with a bare caption anyway still give a caption.
+function parseCaptionReply(text) {
+  const reply = { caption: null, subjects: [], people_count: null, setting: null };
+  if (typeof text !== 'string') return reply;
+  const json = /\{[\s\S]*\}/.exec(text);
+  let data = null;
+  try { data = json ? JSON.parse(json[0]) : null; } catch { data = null; }
+  if (!data || typeof data !== 'object') return { ...reply, caption: cleanCaption(text) };
+
+  const count = parseInt(data.people_count);
+  const setting = String(data.setting || '').toLowerCase();
+  return {
+    caption: cleanCaption(String(data.caption ?? '')),
+    subjects: (Array.isArray(data.subjects) ? data.subjects : [])
+      .map(subject => String(subject).trim().toLowerCase()).filter(Boolean).slice(0, 5),
+    people_count: Number.isInteger(count) && count >= 0 ? count : null,
+    setting: ['indoor', 'outdoor'].includes(setting) ? setting : null
+  };
+}
+
+const COLOR_NAMES = {
+  black: [20, 20, 20], gray: [128, 128, 128], white: [240, 240, 240], red: [200, 40, 40],
+  orange: [235, 140, 40], yellow: [235, 215, 60], green: [60, 160, 70], teal: [40, 150, 150],
+  blue: [50, 100, 210], purple: [130, 70, 170], pink: [235, 140, 180], brown: [120, 80, 45]
+};
+
+// Up to three colors covering at least a tenth of the image each, largest first
+async function dominantColors(imageBuffer) {
+  const pixels = await sharp(imageBuffer).rotate().resize(32, 32, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+  const bins = new Map();
+  for (let i = 0; i < pixels.length; i += 3) {
+    const key = (pixels[i] >> 6) * 16 + (pixels[i + 1] >> 6) * 4 + (pixels[i + 2] >> 6);
+    const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bin.count++;
+    bin.r += pixels[i];
+    bin.g += pixels[i + 1];
+    bin.b += pixels[i + 2];
+    bins.set(key, bin);
+  }
+  const total = pixels.length / 3;
+  return [...bins.values()]
+    .filter(bin => bin.count / total >= 0.1)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 3)
+    .map(bin => {
+      const rgb = [bin.r, bin.g, bin.b].map(v => Math.round(v / bin.count));
+      const [name] = Object.entries(COLOR_NAMES)
+        .map(([colorName, ref]) => [colorName, ref.reduce((sum, v, i) => sum + (v - rgb[i]) ** 2, 0)])
+        .sort((a, b) => a[1] - b[1])[0];
+      return { hex: `#${rgb.map(v => v.toString(16).padStart(2, '0')).join('')}`, name, share: Math.round(bin.count / total * 100) / 100 };
+    });
+}
+
+// Analyze an image with the configured provider: caption, tags and colors.
+// error is set when the provider failed; such results aren't kept.
+async function analyzeImageWithVision(imageBuffer, mimeType, settings = captionSettingsFor()) {
+  const provider = captionProviders[settings.provider];
+  const { prompt, version } = captionPrompt(settings);
+  const analysis = {
+    provider: settings.provider,
+    model: provider?.model ?? null,
+    // The template provider sends no prompt
+    prompt_version: settings.provider === 'template' ? null : version,
+    ...parseCaptionReply(null),
+    colors: await dominantColors(imageBuffer).catch(() => []),
+    error: null
+  };
+  if (!provider || !provider.available()) {
+    console.log(`Caption provider "${settings.provider}" is not configured, skipping vision analysis`);
+    return { ...analysis, error: `Caption provider "${settings.provider}" is not configured` };
+  }
+  // Skip preparing an image nobody will look at
+  if (settings.provider === 'template') return analysis;
+
+  try {
+    const { image, mimeType: type } = await captionImage(imageBuffer, mimeType);
+    const reply = parseCaptionReply(await provider.caption(image, type, prompt));
+    console.log(`Vision caption (${settings.provider}):`, reply.caption);
+    return { ...analysis, ...reply };
+  } catch (err) {
+    console.error(`Vision analysis error (${settings.provider}):`, err.message);
+    return { ...analysis, error: err.message };
+  }
+}
+
+function parseAnalysis(row) {
+  if (!row) return null;
+  const { subjects_json, colors_json, ...analysis } = row;
+  return { ...analysis, subjects: JSON.parse(subjects_json || '[]'), colors: JSON.parse(colors_json || '[]') };
+}
+
+// The latest analysis of an item made the way these settings would make it
+function latestAnalysis(itemId, settings) {
+  const provider = captionProviders[settings.provider];
+  const { version } = captionPrompt(settings);
+  return parseAnalysis(db.prepare(`
+    SELECT * FROM analyses
+    WHERE item_id = ? AND provider = ? AND model IS ? AND prompt_version IS ?
+    ORDER BY id DESC LIMIT 1
+  `).get(itemId, settings.provider, provider?.model ?? null, settings.provider === 'template' ? null : version));
+}
+
+// Keep an analysis and make its caption the item's searchable caption
+function recordAnalysis(itemId, analysis, smartDescription, galleryId = null) {
+  const id = db.prepare(`
+    INSERT INTO analyses (item_id, provider, model, prompt_version, caption, smart_description,
+      subjects_json, people_count, setting, colors_json, gallery_id, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    itemId, analysis.provider, analysis.model, analysis.prompt_version, analysis.caption, smartDescription,
+    JSON.stringify(analysis.subjects || []), analysis.people_count, analysis.setting,
+    JSON.stringify(analysis.colors || []), galleryId, currentActor()
+  ).lastInsertRowid;
+  recordVisionCaption(itemId, analysis.caption);
+  return parseAnalysis(db.prepare('SELECT * FROM analyses WHERE id = ?').get(id));
+}
+
+// === Search ===
+// One search box over the whole library. Item names, descriptions, vision
+// captions, places, cameras, lenses and filenames go into an FTS5 index that
+// triggers keep in step with the items mirror and the photos table. Queries
+// mix words with field filters:
+//   lisbon beach -sunset "golden hour" camera:iphone iso:>1600
+//   date:2019..2021 focal:<35 orientation:portrait has:gps similar:12345
+// similar:<id> ranks photos by how close their embedding is to that photo's:
+// the "local" embedder compares color and layout computed from the image
+// itself, "openai" compares text embeddings of the indexed fields from any
+// OpenAI-compatible /embeddings endpoint. Queries are parsed by
+// lib/search-query.js.
+
+const SEARCH_MAX_LIMIT = 5000;
+
+const SEARCH_EMBEDDER = process.env.SEARCH_EMBEDDER || 'local';
+const EMBEDDING_URL = (process.env.EMBEDDING_URL || LOCAL_VISION_URL).replace(/\/+$/, '');
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+
+// The index row for one item, as a statement usable in triggers
+function searchIndexSql(id) {
+  return `
+    DELETE FROM search_index WHERE rowid = ${id};
+    INSERT INTO search_index (rowid, ${SEARCH_TEXT_FIELDS.join(', ')})
+      SELECT i.id, i.name, i.description, i.vision_caption, p.location_name,
+        trim(coalesce(p.camera_make, '') || ' ' || coalesce(p.camera_model, '') || ' ' || coalesce(i.medium, '')),
+        p.lens_model, p.original_filename
+      FROM items i LEFT JOIN photos p ON p.meural_id = i.id
+      WHERE i.id = ${id};`;
+}
+
+migrate(() => {
+  // The last caption a vision model gave the item
+  addColumnIfMissing('items', 'vision_caption', 'TEXT');
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+      ${SEARCH_TEXT_FIELDS.join(', ')},
+      tokenize = 'porter unicode61 remove_diacritics 2'
+    );
+
+    CREATE TABLE IF NOT EXISTS search_embeddings (
+      item_id INTEGER NOT NULL,
+      embedder TEXT NOT NULL,
+      source_hash TEXT,
+      vector BLOB NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (item_id, embedder)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS search_items_insert AFTER INSERT ON items BEGIN
+      ${searchIndexSql('NEW.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS search_items_update
+      AFTER UPDATE OF name, description, medium, vision_caption ON items BEGIN
+      ${searchIndexSql('NEW.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS search_items_delete AFTER DELETE ON items BEGIN
+      DELETE FROM search_index WHERE rowid = OLD.id;
+      DELETE FROM search_embeddings WHERE item_id = OLD.id;
+    END;
+    CREATE TRIGGER IF NOT EXISTS search_photos_insert AFTER INSERT ON photos BEGIN
+      ${searchIndexSql('NEW.meural_id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS search_photos_update
+      AFTER UPDATE OF meural_id, camera_make, camera_model, lens_model, location_name, original_filename ON photos BEGIN
+      ${searchIndexSql('OLD.meural_id')}
+      ${searchIndexSql('NEW.meural_id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS search_photos_delete AFTER DELETE ON photos BEGIN
+      ${searchIndexSql('OLD.meural_id')}
+    END;
+  `);
+  const indexed = db.prepare('SELECT COUNT(*) AS n FROM search_index').get().n;
+  if (indexed === 0) rebuildSearchIndex();
+});
+
+// Refill the index from scratch (the triggers keep it current after that)
+function rebuildSearchIndex() {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM search_index').run();
+    return db.prepare(`
+      INSERT INTO search_index (rowid, ${SEARCH_TEXT_FIELDS.join(', ')})
+        SELECT i.id, i.name, i.description, i.vision_caption, p.location_name,
+          trim(coalesce(p.camera_make, '') || ' ' || coalesce(p.camera_model, '') || ' ' || coalesce(i.medium, '')),
+          p.lens_model, p.original_filename
+        FROM items i LEFT JOIN photos p ON p.meural_id = i.id
+    `).run().changes;
+  })();
+}
+
+function recordVisionCaption(id, caption) {
+  if (caption) db.prepare('UPDATE items SET vision_caption = ? WHERE id = ?').run(caption, id);
+}
+
+// Cosine similarity needs unit vectors; stored vectors already are
+function normalizeVector(values) {
+  const length = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? values.map(v => v / length) : values.map(() => 0);
+}
+
+function encodeVector(values) {
+  return Buffer.from(new Float32Array(values).buffer);
+}
+
+function decodeVector(buffer) {
+  return new Float32Array(new Uint8Array(buffer).buffer);
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) sum += a[i] * b[i];
+  return sum;
+}
+
+const searchEmbedders = {
+  // Color layout (an 8x8 thumbnail) plus a 64-bin color histogram: photos of
+  // the same scene, light and palette land close together. No network needed.
+  local: {
+    key: 'local',
+    input: 'image',
+    async embed({ image }) {
+      const layout = await sharp(image).rotate().resize(8, 8, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+      const mean = layout.reduce((sum, v) => sum + v, 0) / layout.length;
+      const small = await sharp(image).rotate().resize(32, 32, { fit: 'fill' }).removeAlpha().raw().toBuffer();
+      const histogram = new Array(64).fill(0);
+      for (let i = 0; i < small.length; i += 3) {
+        histogram[(small[i] >> 6) * 16 + (small[i + 1] >> 6) * 4 + (small[i + 2] >> 6)]++;
+      }
+      return [...normalizeVector([...layout].map(v => v - mean)), ...normalizeVector(histogram.map(Math.sqrt))];
+    }
+  },
+
+  // Text embeddings of what the index knows about the photo
+  openai: {
+    key: `openai:${EMBEDDING_MODEL}`,
+    input: 'text',
+    async embed({ text }) {
+      const response = await fetch(`${EMBEDDING_URL}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.EMBEDDING_API_KEY ? { Authorization: `Bearer ${process.env.EMBEDDING_API_KEY}` } : {})
+        },
+        body: JSON.stringify({ model: EMBEDDING_MODEL, input: text }),
+        signal: AbortSignal.timeout(LOCAL_VISION_TIMEOUT_MS)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error?.message || data.error || `${EMBEDDING_URL} returned HTTP ${response.status}`);
+      const embedding = data.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) throw new Error('No embedding in the response');
+      return embedding;
+    }
+  }
+};
+
+function searchEmbedder() {
+  const embedder = searchEmbedders[SEARCH_EMBEDDER];
+  if (!embedder) throw new Error(`Unknown SEARCH_EMBEDDER: ${SEARCH_EMBEDDER}`);
+  return embedder;
+}
+
+// Compute and store an item's embedding unless it's current. image saves a
+// download when the caller already has the file.
+async function embedItem(id, image = null) {
+  const embedder = searchEmbedder();
+  const indexed = db.prepare(`SELECT ${SEARCH_TEXT_FIELDS.join(', ')} FROM search_index WHERE rowid = ?`).get(id);
+  if (!indexed) throw new Error('Not in the library');
+
+  let input;
+  let sourceHash;
+  if (embedder.input === 'image') {
+    sourceHash = 'image';
+  } else {
+    input = { text: SEARCH_TEXT_FIELDS.map(field => indexed[field]).filter(Boolean).join('. ') };
+    if (!input.text) throw new Error('Nothing to embed');
+    sourceHash = crypto.createHash('sha1').update(input.text).digest('hex');
+  }
+  const existing = db.prepare('SELECT source_hash FROM search_embeddings WHERE item_id = ? AND embedder = ?').get(id, embedder.key);
+  if (existing?.source_hash === sourceHash) return { id, skipped: true };
+
+  if (embedder.input === 'image') {
+    if (!image) {
+      const item = parseRow(db.prepare('SELECT data_json FROM items WHERE id = ?').get(id));
+      const imageUrl = item.image || item.image_large;
+      if (!imageUrl) throw new Error('No image URL');
+      image = await fetchImageBuffer(imageUrl);
+    }
+    input = { image };
+  }
+  const vector = normalizeVector(await embedder.embed(input));
+  db.prepare(`
+    INSERT INTO search_embeddings (item_id, embedder, source_hash, vector) VALUES (?, ?, ?, ?)
+    ON CONFLICT(item_id, embedder) DO UPDATE SET source_hash = excluded.source_hash,
+      vector = excluded.vector, created_at = CURRENT_TIMESTAMP
+  `).run(id, embedder.key, sourceHash, encodeVector(vector));
+  return { id, dimensions: vector.length };
+}
+
+jobHandlers['search-embed'] = {
+  concurrency: 2,
+  async processItem(target) {
+    return embedItem(parseInt(target));
+  }
+};
+
+// Run a search. Results come best match first: by similarity for similar:,
+// by text relevance when there are words, otherwise newest taken first.
+async function searchLibrary(q, { limit = 100, offset = 0 } = {}) {
+  const query = parseSearchQuery(q);
+  if (query.error) return query;
+
+  const where = ['i.owned = 1', ...query.where];
+  const params = [];
+  let match = null;
+  if (query.terms.length) {
+    match = query.terms.join(' AND ') + (query.excluded.length ? ` NOT (${query.excluded.join(' OR ')})` : '');
+    params.push(match);
+  } else if (query.excluded.length) {
+    where.push('i.id NOT IN (SELECT rowid FROM search_index WHERE search_index MATCH ?)');
+    query.params.unshift(query.excluded.join(' OR '));
+  }
+  params.push(...query.params);
+
+  const rows = db.prepare(`
+    SELECT i.id, i.data_json, i.vision_caption, p.date_taken, p.location_name, p.camera_model, p.lens_model
+      ${match ? ', bm25(search_index, 5, 3, 4, 4, 1, 1, 1) AS rank' : ''}
+    FROM items i
+    ${match ? 'JOIN search_index ON search_index.rowid = i.id' : ''}
+    LEFT JOIN photos p ON p.meural_id = i.id
+    WHERE ${match ? 'search_index MATCH ? AND ' : ''}${where.join(' AND ')}
+    ORDER BY ${match ? 'rank' : 'p.date_taken IS NULL, p.date_taken DESC, i.id DESC'}
+  `).all(...params);
+
+  let results = rows.map(row => ({ row, score: match ? Number((-row.rank).toPrecision(3)) : null }));
+  let unembedded = null;
+  if (query.similar) {
+    const embedder = searchEmbedder();
+    let target = db.prepare('SELECT vector FROM search_embeddings WHERE item_id = ? AND embedder = ?').get(query.similar, embedder.key);
+    if (!target) {
+      await embedItem(query.similar);
+      target = db.prepare('SELECT vector FROM search_embeddings WHERE item_id = ? AND embedder = ?').get(query.similar, embedder.key);
+    }
+    const targetVector = decodeVector(target.vector);
+    const vectors = new Map(db.prepare('SELECT item_id, vector FROM search_embeddings WHERE embedder = ?').all(embedder.key)
+      .map(r => [r.item_id, r.vector]));
+    const candidates = results.filter(({ row }) => row.id !== query.similar);
+    unembedded = candidates.filter(({ row }) => !vectors.has(row.id)).length;
+    results = candidates
+      .filter(({ row }) => vectors.has(row.id))
+      .map(({ row }) => ({ row, score: Math.round(dotProduct(targetVector, decodeVector(vectors.get(row.id))) * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  const page = results.slice(offset, offset + limit).map(({ row, score }) => {
+    const item = parseRow(row);
+    return {
+      id: row.id,
+      name: item.name || null,
+      description: item.description || null,
+      image: item.image || null,
+      thumbnail: item.thumbnail || null,
+      caption: row.vision_caption,
+      date_taken: row.date_taken,
+      location_name: row.location_name,
+      camera_model: row.camera_model,
+      lens_model: row.lens_model,
+      score
+    };
+  });
+  return {
+    data: page,
+    total: results.length,
+    offset,
+    limit,
+    query: { match, filters: query.filters, similar: query.similar },
+    unembedded
+  };
+}
+
+// === Undo ===
+// A change (everything one request, job or timer run recorded under one
+// change_id) can be reversed from its audit entries, newest first. Entries
+// are skipped when what they touched has changed again since, and some
+// (uploads, permanent deletes) can't be reversed at all.
+
+const UNDO_WINDOW_DAYS = 7;
+const UNDO_INLINE_LIMIT = 10; // bigger changes are undone as a job
+
+// For each reversible action: the later actions on the same thing that make
+// reversing it unsafe, and how to reverse it
+const UNDO_CONFLICTS = {
+  'item.update': { where: "item_id = @item_id AND action IN ('item.update', 'item.describe', 'item.trash', 'item.delete')" },
+  'item.describe': { where: "item_id = @item_id AND action IN ('item.update', 'item.describe', 'item.trash', 'item.delete')" },
+  'item.trash': { where: "item_id = @item_id AND action = 'trash.purge'" },
+  'gallery.add_item': { where: "gallery_id = @gallery_id AND item_id = @item_id AND action IN ('gallery.add_item', 'gallery.remove_item')" },
+  'gallery.remove_item': { where: "gallery_id = @gallery_id AND item_id = @item_id AND action IN ('gallery.add_item', 'gallery.remove_item')" },
+  'gallery.create': { where: "gallery_id = @gallery_id AND action != 'device.assign'" },
+  'gallery.update': { where: "gallery_id = @gallery_id AND action IN ('gallery.update', 'gallery.delete')" },
+  'gallery.delete': { where: null },
+  'device.assign': { where: "device_id = @device_id AND action = 'device.assign'" }
+};
+
+function parseAuditEntry({ before_json, after_json, ...entry }) {
+  return { ...entry, before: before_json ? JSON.parse(before_json) : null, after: after_json ? JSON.parse(after_json) : null };
+}
+
+function changeEntries(changeId) {
+  return mainDb.prepare("SELECT * FROM audit_log WHERE change_id = ? AND account_id = ? AND action NOT IN ('undo', 'request') ORDER BY id DESC")
+    .all(changeId, currentAccount().id).map(parseAuditEntry);
+}
+
+// Why an entry can't be reversed, or null if it can
+function undoBlocker(entry) {
+  const rule = UNDO_CONFLICTS[entry.action];
+  if (!rule) return 'This kind of change can\'t be undone';
+  if (!rule.where) return null;
+  const later = mainDb.prepare(`
+    SELECT id, action, actor FROM audit_log
+    WHERE account_id = @account_id AND id > @id AND (change_id IS NULL OR change_id != @change_id) AND ${rule.where}
+    ORDER BY id LIMIT 1
+  `).get({
+    id: entry.id, account_id: entry.account_id, change_id: entry.change_id,
+    item_id: entry.item_id, gallery_id: entry.gallery_id, device_id: entry.device_id
+  });
+  return later ? `Changed again since (${later.action} by ${later.actor})` : null;
+}
+
+function checkMeural(data) {
+  if (data?.detail || data?.error) throw new Error(typeof (data.detail || data.error) === 'string' ? data.detail || data.error : JSON.stringify(data.detail || data.error));
+  return data;
+}
+
+// Reverse one audit entry. Returns { id, action, status: 'undone' | 'skipped', ... }
+async function undoEntry(entry) {
+  const result = { id: entry.id, action: entry.action, target: entry.target };
+  const blocker = undoBlocker(entry);
+  if (blocker) return { ...result, status: 'skipped', reason: blocker };
+
+  switch (entry.action) {
+    case 'item.update':
+    case 'item.describe':
+      if (!entry.before) return { ...result, status: 'skipped', reason: 'The previous values weren\'t recorded' };
+      checkMeural(await updateItemMetadata(entry.item_id, entry.before));
+      break;
+    case 'item.trash': {
+      const trashId = entry.after?.trash_id;
+      if (!trashId || !db.prepare('SELECT 1 FROM trash WHERE id = ?').get(trashId)) {
+        return { ...result, status: 'skipped', reason: 'No longer in the trash' };
+      }
+      const restored = await restoreTrashItem(trashId);
+      return { ...result, status: 'undone', meural_id: restored.meural_id };
+    }
+    case 'gallery.add_item':
+    case 'gallery.remove_item':
+      checkMeural(await setGalleryMembership(entry.gallery_id, entry.item_id, entry.action === 'gallery.remove_item'));
+      break;
+    case 'gallery.create':
+      checkMeural(await deleteGallery(entry.gallery_id));
+      break;
+    case 'gallery.update':
+      checkMeural(await updateGallery(entry.gallery_id, entry.before || {}));
+      break;
+    case 'gallery.delete': {
+      const { name, description, items = [] } = entry.before || {};
+      const created = checkMeural(await createGallery(description ? { name, description } : { name }));
+      const galleryId = created.data?.id;
+      if (!galleryId) throw new Error('Meural didn\'t return the recreated playlist');
+      const missing = [];
+      for (const itemId of items) {
+        if (!db.prepare('SELECT 1 FROM items WHERE id = ?').get(itemId)) {
+          missing.push(itemId);
+          continue;
+        }
+        checkMeural(await setGalleryMembership(galleryId, itemId, true));
+      }
+      return { ...result, status: 'undone', gallery_id: galleryId, missing_items: missing };
+    }
+    case 'device.assign': {
+      const previous = entry.before?.gallery_id;
+      if (!previous) return { ...result, status: 'skipped', reason: 'The frame\'s previous playlist wasn\'t recorded' };
+      await assignGalleryToDevice(entry.device_id, previous);
+      break;
+    }
+  }
+  return { ...result, status: 'undone' };
+}
+
+// IDs of a change's entries that an earlier undo reversed. Each undo that
+// reversed something records which entries it did, so the failed or skipped
+// ones can be undone later.
+function undoneEntryIds(changeId) {
+  const ids = new Set();
+  const markers = mainDb.prepare("SELECT after_json FROM audit_log WHERE action = 'undo' AND target = ? AND account_id = ?")
+    .all(`change:${changeId}`, currentAccount().id);
+  for (const marker of markers) {
+    const after = marker.after_json ? JSON.parse(marker.after_json) : {};
+    // Recorded before entries were tracked: the whole change counted as undone
+    if (!after.entry_ids) return new Set(changeEntries(changeId).map(e => e.id));
+    after.entry_ids.forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+function recordUndo(changeId, results) {
+  const already = undoneEntryIds(changeId);
+  const entryIds = results.filter(r => r?.status === 'undone' && !already.has(r.id)).map(r => r.id);
+  if (entryIds.length) {
+    recordAudit('undo', { target: `change:${changeId}`, after: { change_id: changeId, entries: entryIds.length, entry_ids: entryIds } });
+  }
+}
+
+jobHandlers['undo'] = {
+  async processItem(target) {
+    const row = mainDb.prepare('SELECT * FROM audit_log WHERE id = ? AND account_id = ?').get(parseInt(target), currentAccount().id);
+    if (!row) throw new Error('Audit entry not found');
+    return undoEntry(parseAuditEntry(row));
+  },
+  async onFinish(job) {
+    recordUndo(job.params.change_id, getJobItems(job.id).filter(item => item.status === 'succeeded').map(item => item.result));
+  }
+};
+
+// === API Routes ===
+
+// Who is signed in, and whether the first admin still has to be created
+app.get('/api/auth/me', (req, res) => {
+  try {
+    const user = sessionUser(req);
+    const setupRequired = !mainDb.prepare('SELECT 1 FROM users LIMIT 1').get();
+    res.json({ data: user ? publicUser(user) : null, setup_required: setupRequired });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// First run: create the admin. Only allowed while there are no users.
+app.post('/api/auth/setup', (req, res) => {
+  try {
+    if (mainDb.prepare('SELECT 1 FROM users LIMIT 1').get()) {
+      return res.status(409).json({ error: 'Setup is already done; sign in instead' });
+    }
+    const { username, password } = req.body || {};
+    const error = validateUserFields({ username, password });
+    if (error) return res.status(400).json({ error });
+    const id = mainDb.prepare("INSERT INTO users (username, password_hash, role) VALUES (?, ?, 'admin')")
+      .run(username.trim(), hashPassword(password)).lastInsertRowid;
+    const user = mainDb.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    startSession(req, res, user);
+    res.json({ success: true, data: publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = username && password ? mainDb.prepare('SELECT * FROM users WHERE username = ?').get(username.trim()) : null;
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+    startSession(req, res, user);
+    res.json({ success: true, data: publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) mainDb.prepare('DELETE FROM sessions WHERE token_hash = ?').run(sha256(token));
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change your own password; signs out your other sessions
+app.put('/api/auth/password', (req, res) => {
+  try {
+    const user = sessionUser(req);
+    if (!user) return res.status(401).json({ error: 'Sign in required' });
+    const { current_password, new_password } = req.body || {};
+    if (!current_password || !verifyPassword(current_password, user.password_hash)) {
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    const error = validateUserFields({ password: new_password }, { partial: true });
+    if (error) return res.status(400).json({ error });
+    mainDb.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(new_password), user.id);
+    mainDb.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+    startSession(req, res, user);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ data: mainDb.prepare('SELECT * FROM users ORDER BY username').all().map(publicUser) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    const error = validateUserFields({ username, password, role });
+    if (error) return res.status(400).json({ error });
+    if (mainDb.prepare('SELECT 1 FROM users WHERE username = ?').get(username.trim())) {
+      return res.status(409).json({ error: `${username.trim()} already exists` });
+    }
+    const id = mainDb.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+      .run(username.trim(), hashPassword(password), role).lastInsertRowid;
+    res.json({ success: true, data: publicUser(mainDb.prepare('SELECT * FROM users WHERE id = ?').get(id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a user's role or set a new password (which signs them out)
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = mainDb.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { password, role } = req.body || {};
+    const error = validateUserFields({ password, role }, { partial: true });
+    if (error) return res.status(400).json({ error });
+    if (role && role !== 'admin' && user.role === 'admin' && adminCount() === 1) {
+      return res.status(400).json({ error: 'There must be at least one admin' });
+    }
+    if (role) mainDb.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+    if (password !== undefined) {
+      mainDb.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), user.id);
+      mainDb.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+    }
+    res.json({ success: true, data: publicUser(mainDb.prepare('SELECT * FROM users WHERE id = ?').get(user.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = mainDb.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.role === 'admin' && adminCount() === 1) {
+      return res.status(400).json({ error: 'There must be at least one admin' });
+    }
+    mainDb.prepare('DELETE FROM sessions WHERE user_id = ?').run(user.id);
+    mainDb.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accounts aren't scoped to an account; everything below them is
+app.get('/api/accounts', (req, res) => {
+  try {
+    res.json({ data: listAccounts().map(publicAccount) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add an account; it is only kept if Meural accepts the credentials
+app.post('/api/accounts', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    if (mainDb.prepare('SELECT 1 FROM accounts WHERE username = ?').get(username)) {
+      return res.status(409).json({ error: `${username} is already added` });
+    }
+
+    // The first account uses the main database, later ones get their own
+    const first = !defaultAccount();
+    const id = mainDb.prepare('INSERT INTO accounts (name, username, password) VALUES (?, ?, ?)')
+      .run(name || username, username, encryptSecret(password)).lastInsertRowid;
+    if (!first) mainDb.prepare('UPDATE accounts SET db_file = ? WHERE id = ?').run(`exif-database-account-${id}.sqlite`, id);
+
+    try {
+      await accountContext.run(getAccount(id), () => getToken());
+    } catch (err) {
+      mainDb.prepare('DELETE FROM accounts WHERE id = ?').run(id);
+      return res.status(400).json({ error: `Meural sign-in failed: ${err.message}` });
+    }
+    res.json({ success: true, data: publicAccount(getAccount(id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename an account or change its stored password
+app.put('/api/accounts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    const { name, password } = req.body || {};
+    if (name !== undefined) {
+      if (!name) return res.status(400).json({ error: 'name cannot be empty' });
+      mainDb.prepare('UPDATE accounts SET name = ? WHERE id = ?').run(name, account.id);
+    }
+    if (password !== undefined) {
+      if (!password) return res.status(400).json({ error: 'password cannot be empty' });
+      if (account.password_from_env) return res.status(400).json({ error: 'This account reads its password from .env or .meural-password' });
+      mainDb.prepare(`
+        UPDATE accounts SET password = ?, access_token = NULL, refresh_token = NULL, token_expires_at = NULL
+        WHERE id = ?
+      `).run(encryptSecret(password), account.id);
+      try {
+        await accountContext.run(getAccount(account.id), () => getToken());
+      } catch (err) {
+        return res.status(400).json({ error: `Meural sign-in failed: ${err.message}`, data: publicAccount(getAccount(account.id)) });
+      }
+    }
+    res.json({ success: true, data: publicAccount(getAccount(account.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove an account. Its database file stays on disk.
+app.delete('/api/accounts/:id', requireRole('admin'), (req, res) => {
+  try {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (!account.db_file) {
+      return res.status(400).json({ error: "The first account's library lives in the main database and can't be removed" });
+    }
+    accountDbs.get(account.id)?.close();
+    accountDbs.delete(account.id);
+    mainDb.prepare('DELETE FROM accounts WHERE id = ?').run(account.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get user info (includes storage)
+app.get('/api/user', async (req, res) => {
+  try {
+    const data = await meuralRequest('GET', '/user');
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all user items (photos) with pagination, served from the local mirror
+app.get('/api/items', async (req, res) => {
+  try {
+    await ensureMirror();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const count = Math.max(parseInt(req.query.count) || 100, 1);
+    const total = db.prepare('SELECT COUNT(*) AS count FROM items WHERE owned = 1').get().count;
+    const rows = db.prepare('SELECT data_json FROM items WHERE owned = 1 ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?')
+      .all(count, (page - 1) * count);
+    res.json({ data: rows.map(parseRow), count: total, page, isLast: page * count >= total });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An upload that failed without an answer may still have created the item.
+// Look for an item Meural has that the mirror doesn't, with a matching image.
+async function findUnmirroredUpload(buffer) {
+  const hashes = await computeImageHashes(buffer);
+  if (!hashes.dhash) return null;
+  const known = new Set(db.prepare('SELECT id FROM items').all().map(r => r.id));
+  for (const item of await fetchAllPages('/user/items')) {
+    const imageUrl = item.image || item.image_large;
+    if (known.has(item.id) || !imageUrl) continue;
+    const image = await fetchImageBuffer(imageUrl).catch(() => null);
+    if (!image) continue;
+    const theirs = await computeImageHashes(image);
+    if (theirs.dhash && isNearDuplicate(hashes, theirs)) return item;
+  }
+  return null;
+}
+
+// Upload items (photos)
+// Upload a single photo to Meural (shared helper). reconcile checks Meural
+// for the item first, for retries of an upload that may have gone through.
+async function uploadSinglePhoto(file, totalFiles, { describe = totalFiles <= 5, galleryId = null, onRetry, reconcile = false } = {}) {
+  let fileBuffer = fs.readFileSync(file.path);
+  const exifData = extractExif(fileBuffer, file.originalname);
+  exifData.content_hash = sha256(fileBuffer);
+  const normalized = await normalizeImage(fileBuffer, file.originalname);
+  fileBuffer = normalized.buffer;
+  Object.assign(exifData, await computeImageHashes(fileBuffer));
+  const nearDuplicates = findNearDuplicates(exifData);
+  const fitted = file.fit ? await fitUploadToFrame(fileBuffer, file) : null;
+  if (fitted) fileBuffer = fitted.buffer;
+  const resizeResult = await resizeIfNeeded(fileBuffer, file.originalname);
+  fileBuffer = resizeResult.buffer;
+
+  const mimeType = resizeResult.resized || fitted ? 'image/jpeg' : normalized.mimeType;
+  const blob = new Blob([fileBuffer], { type: mimeType });
+  const form = new FormData();
+  form.append('image', blob, fitted ? `${path.basename(normalized.filename, path.extname(normalized.filename))}.jpg` : normalized.filename);
+
+  let retries = 0;
+  let ok, data, status = null;
+  const uploaded = reconcile ? await findUnmirroredUpload(fileBuffer) : null;
+  if (uploaded) {
+    console.log(`Upload of ${file.originalname} had already reached Meural as item ${uploaded.id}`);
+    ok = true;
+    data = { data: uploaded };
+  } else {
+    const response = await meuralAuthFetch('/items', {
+      method: 'POST',
+      body: form
+    }, {
+      onRetry: info => {
+        retries = info.attempt;
+        if (onRetry) onRetry(info);
+      }
+    });
+
+    const responseText = await response.text();
+    try {
+      data = JSON.parse(responseText);
+    } catch (parseErr) {
+      console.error(`Upload failed for ${file.originalname}: HTTP ${response.status}, body: ${responseText.substring(0, 300)}`);
+      throw new Error(`Meural API returned non-JSON (HTTP ${response.status}).`);
+    }
+    ok = response.ok;
+    status = response.status;
+  }
+
+  let location = null;
+  let smartDescription = null;
+  let analysis = null;
+  let captionSettings = null;
+
+  if (ok && data.data?.id) {
+    if (exifData.gps_latitude && exifData.gps_longitude) {
+      location = await reverseGeocode(exifData.gps_latitude, exifData.gps_longitude);
+      if (location) exifData.location_name = location.display_name;
+    }
+
+    if (describe) {
+      captionSettings = captionSettingsFor({ galleryId });
+      analysis = await analyzeImageWithVision(fileBuffer, mimeType, captionSettings);
+      smartDescription = await generateSmartDescription(exifData, location, analysis.caption, captionSettings, data.data);
+      if (smartDescription) {
+        try {
+          await meuralRequest('PUT', `/items/${data.data.id}`, { name: smartDescription, description: smartDescription });
+          data.data.name = smartDescription;
+          data.data.description = smartDescription;
+        } catch (e) { console.error('Failed to apply description:', e.message); }
+      }
+    }
+
+    savePhotoExif(data.data.id, file.originalname, exifData);
+    mirrorItem(data.data);
+    if (analysis && !analysis.error) recordAnalysis(data.data.id, analysis, smartDescription, captionSettings.gallery_id);
+    // The local embedder only needs the file we already have
+    if (SEARCH_EMBEDDER === 'local') {
+      await embedItem(data.data.id, fileBuffer).catch(err => console.error('Search embedding failed:', err.message));
+    }
+    recordAudit('item.upload', {
+      target: `item:${data.data.id}`, item_id: data.data.id,
+      after: { filename: file.originalname, name: data.data.name || null, description: data.data.description || null }
+    });
+    fs.unlinkSync(file.path);
+    if (file.pair) fs.rmSync(file.pair.path, { force: true });
+  }
+
+  return {
+    filename: file.originalname,
+    success: ok,
+    meural_id: ok ? data.data?.id : null,
+    converted: normalized.converted,
+    fitted: fitted ? fitted.info : null,
+    retries,
+    resized: resizeResult.resized ? {
+      from: `${(resizeResult.originalSize / 1024 / 1024).toFixed(1)}MB`,
+      to: `${(resizeResult.newSize / 1024 / 1024).toFixed(1)}MB`,
+      dimensions: resizeResult.dimensions
     } : null,
-    exif: response.ok ? {
+    exif: ok ? {
       date_taken: exifData.date_taken,
       camera: exifData.camera_model,
       lens: exifData.lens_model,
@@ -315,435 +5137,1859 @@ async function uploadSinglePhoto(file, token, totalFiles) {
       location: location?.city || location?.display_name || null,
       season: getSeason(exifData.date_taken)
     } : null,
-    vision_caption: visionCaption,
+    vision_caption: analysis?.caption || null,
+    smart_description: smartDescription,
+    near_duplicates: nearDuplicates.slice(0, 5),
+    error: ok ? null : data,
+    // A gateway error may have come after Meural stored the upload
+    uncertain: ok ? undefined : GATEWAY_STATUSES.includes(status)
+  };
+}
+
+// Queue an upload job for files received by multer, fitted to a frame if asked
+async function enqueueUploadJob(files, fit = null) {
+  const toPayload = file => ({ path: file.path, originalname: file.originalname, mimetype: file.mimetype, size: file.size });
+  if (!fit) {
+    return enqueueJob('upload', files.map(file => ({ target: file.originalname, payload: toPayload(file) })));
+  }
+
+  const groups = await planFrameFit(files, fit);
+  return enqueueJob('upload', groups.map(group => {
+    const [file, pair] = group.files;
+    return {
+      target: group.files.map(f => f.originalname).join(' + '),
+      payload: { ...toPayload(file), fit: { mode: group.mode, orientation: fit.orientation }, pair: pair ? toPayload(pair) : undefined }
+    };
+  }), { fit });
+}
+
+// Per-file results of an upload job, in the shape the upload routes return
+function uploadJobResults(jobId) {
+  return getJobItems(jobId).map(item => item.result || { filename: item.target, success: false, error: item.error });
+}
+
+// SSE streaming upload endpoint — real-time progress of the queued upload job.
+// Closing the stream does not stop the job; it keeps running in the background.
+app.post('/api/items/upload-stream', requireRole('curator'), upload.any(), async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No files received' });
+  }
+  const { fit, error } = parseFitOptions(req.body || {});
+  if (error) {
+    files.forEach(file => fs.rmSync(file.path, { force: true }));
+    return res.status(400).json({ error });
+  }
+
+  // Set up SSE
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  try {
+    const job = await enqueueUploadJob(files, fit);
+    await streamUploadJob(req, res, job.id);
+  } catch (err) {
+    sendEvent(res, 'error', { message: err.message });
+    res.end();
+  }
+});
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send an upload job's progress (and Meural retries) as SSE until it finishes
+async function streamUploadJob(req, res, jobId) {
+  const send = (event, data) => sendEvent(res, event, data);
+
+  const job = getJob(jobId);
+  const total = job.total;
+  send('start', { total, job_id: job.id });
+
+  const onItem = ({ job: current, item }) => {
+    if (current.id !== job.id || current.account_id !== job.account_id) return;
+    const completed = current.succeeded + current.failed;
+    send('progress', {
+      completed, total, filename: item.target, success: item.status === 'succeeded',
+      converted: item.result?.converted || undefined, error: item.error || undefined
+    });
+  };
+  const onRetry = ({ job: current, target, attempt, delay_ms, reason }) => {
+    if (current.id !== job.id || current.account_id !== job.account_id) return;
+    send('retry', { filename: target, attempt, max_attempts: MEURAL_MAX_RETRIES, delay_ms, reason });
+  };
+  const stop = () => {
+    jobEvents.off('item', onItem);
+    jobEvents.off('retry', onRetry);
+  };
+  jobEvents.on('item', onItem);
+  jobEvents.on('retry', onRetry);
+  req.on('close', stop);
+
+  try {
+    const finished = await waitForJob(job.id);
+    if (finished.status === 'cancelled') {
+      send('error', { message: 'Upload job was cancelled' });
+    }
+    send('done', { job_id: job.id, results: uploadJobResults(job.id) });
+  } catch (err) {
+    send('error', { message: err.message });
+  }
+  stop();
+  res.end();
+}
+
+// An upload session is the upload job: per-file status, and whether a failed
+// file is still on disk to retry
+function uploadSession(jobId) {
+  const job = getJob(jobId);
+  if (!job || job.type !== 'upload') return null;
+  const files = db.prepare('SELECT * FROM job_items WHERE job_id = ? ORDER BY position').all(job.id).map(item => {
+    const payload = item.payload_json ? JSON.parse(item.payload_json) : {};
+    return {
+      filename: item.target,
+      status: item.status,
+      attempts: item.attempts,
+      error: item.error,
+      meural_id: item.result_json ? JSON.parse(item.result_json).meural_id ?? null : null,
+      retryable: item.status !== 'succeeded' && !!payload.path && fs.existsSync(payload.path)
+    };
+  });
+  return { ...job, files };
+}
+
+app.get('/api/uploads/:session', (req, res) => {
+  try {
+    const session = uploadSession(req.params.session);
+    if (!session) return res.status(404).json({ error: 'Upload session not found' });
+    res.json({ data: session });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Retry only the files that failed; ?stream=true follows the retry as SSE
+app.post('/api/uploads/:session/retry', requireRole('curator'), async (req, res) => {
+  try {
+    const session = uploadSession(req.params.session);
+    if (!session) return res.status(404).json({ error: 'Upload session not found' });
+    const requeued = retryJob(session.id);
+    if (!requeued) {
+      return res.status(409).json({ error: 'Upload session has no failed files to retry' });
+    }
+    if (req.query.stream !== 'true') {
+      return res.json({ success: true, requeued, data: uploadSession(session.id) });
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    await streamUploadJob(req, res, session.id);
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Give up on a session's failed files and delete them from disk
+app.delete('/api/uploads/:session', requireRole('curator'), (req, res) => {
+  try {
+    const session = uploadSession(req.params.session);
+    if (!session) return res.status(404).json({ error: 'Upload session not found' });
+    if (['queued', 'running'].includes(session.status)) cancelJob(session.id);
+    let removed = 0;
+    for (const item of db.prepare("SELECT payload_json FROM job_items WHERE job_id = ? AND status != 'succeeded'").all(session.id)) {
+      const payload = item.payload_json ? JSON.parse(item.payload_json) : {};
+      for (const file of [payload, payload.pair].filter(f => f?.path && fs.existsSync(f.path))) {
+        fs.rmSync(file.path, { force: true });
+        removed++;
+      }
+    }
+    res.json({ success: true, removed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Legacy non-streaming upload endpoint (kept for backward compat, waits for the job)
+app.post('/api/items/upload', requireRole('curator'), upload.any(), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files received' });
+    }
+
+    const { fit, error } = parseFitOptions(req.body || {});
+    if (error) {
+      files.forEach(file => fs.rmSync(file.path, { force: true }));
+      return res.status(400).json({ error });
+    }
+    const job = await enqueueUploadJob(files, fit);
+    await waitForJob(job.id);
+    res.json({ job_id: job.id, results: uploadJobResults(job.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get EXIF stats summary (must be before :meuralId route)
+app.get('/api/exif/stats', (req, res) => {
+  try {
+    const cameras = db.prepare('SELECT camera_model, COUNT(*) as count FROM photos WHERE camera_model IS NOT NULL GROUP BY camera_model ORDER BY count DESC').all();
+    const lenses = db.prepare('SELECT lens_model, COUNT(*) as count FROM photos WHERE lens_model IS NOT NULL GROUP BY lens_model ORDER BY count DESC').all();
+    const years = db.prepare("SELECT strftime('%Y', date_taken) as year, COUNT(*) as count FROM photos WHERE date_taken IS NOT NULL GROUP BY year ORDER BY year DESC").all();
+    const withGps = db.prepare('SELECT COUNT(*) as count FROM photos WHERE gps_latitude IS NOT NULL').get();
+    const total = db.prepare('SELECT COUNT(*) as count FROM photos').get();
+    
+    res.json({
+      total: total.count,
+      with_gps: withGps.count,
+      cameras,
+      lenses,
+      years
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// How much of the library has EXIF rows, and which copies Meural stripped
+app.get('/api/exif/backfill', (req, res) => {
+  try {
+    const counts = db.prepare(`
+      SELECT COUNT(*) AS items,
+        SUM(p.meural_id IS NULL) AS missing,
+        SUM(p.exif_source = 'upload') AS uploaded,
+        SUM(p.exif_source = 'meural') AS from_meural,
+        SUM(p.exif_source = 'original') AS from_originals,
+        SUM(p.exif_stripped = 1) AS stripped,
+        SUM(p.exif_stripped = 1 AND p.exif_source = 'meural') AS stripped_unrecovered
+      FROM items i LEFT JOIN photos p ON p.meural_id = i.id
+      WHERE i.owned = 1
+    `).get();
+    const stripped = db.prepare(`
+      SELECT p.meural_id, i.name FROM photos p JOIN items i ON i.id = p.meural_id AND i.owned = 1
+      WHERE p.exif_stripped = 1 AND p.exif_source = 'meural'
+      ORDER BY p.meural_id LIMIT 500
+    `).all();
+    res.json({
+      ...Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, value || 0])),
+      stripped_items: stripped,
+      originals_dir: ORIGINALS_DIR,
+      originals_indexed: ORIGINALS_DIR ? mainDb.prepare('SELECT COUNT(*) AS count FROM originals_index WHERE root = ?').get(ORIGINALS_DIR).count : 0,
+      matchers: ORIGINAL_MATCHERS
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Queue the backfill for photos with no EXIF row. With an originals folder
+// (ORIGINALS_DIR or { "originals_dir" }, which needs admin) photos whose row
+// came from Meural's copy are retried against it. { "match": [...] } picks
+// and orders the ways an original is matched.
+app.post('/api/exif/backfill', requireRole('curator'), (req, res) => {
+  try {
+    if (req.body?.originals_dir && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Choosing an originals folder needs the admin role' });
+    }
+    const originalsDir = req.body?.originals_dir || ORIGINALS_DIR;
+    if (originalsDir) {
+      const invalid = validateOriginalsDir(originalsDir);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    const match = req.body?.match ?? ORIGINAL_MATCHERS;
+    if (!Array.isArray(match) || !match.length || !match.every(m => ORIGINAL_MATCHERS.includes(m))) {
+      return res.status(400).json({ error: `match must list some of: ${ORIGINAL_MATCHERS.join(', ')}` });
+    }
+
+    const ids = db.prepare(`
+      SELECT i.id FROM items i LEFT JOIN photos p ON p.meural_id = i.id
+      WHERE i.owned = 1 AND (p.meural_id IS NULL ${originalsDir ? "OR p.exif_source = 'meural'" : ''})
+      ORDER BY i.id
+    `).all().map(r => r.id);
+    if (ids.length === 0) {
+      return res.json({ job_id: null, message: 'Every photo already has EXIF data' });
+    }
+    const items = ids.map(id => ({ target: id }));
+    if (originalsDir) {
+      const stale = staleOriginals(originalsDir);
+      const batches = [];
+      for (let i = 0; i < stale.length; i += ORIGINALS_INDEX_BATCH) {
+        batches.push({ target: 'index', payload: { files: stale.slice(i, i + ORIGINALS_INDEX_BATCH) } });
+      }
+      items.unshift(...batches);
+    }
+    const job = enqueueJob('exif-backfill', items, { originals_dir: originalsDir, match });
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Map tiles; point MAP_TILE_URL at a local tile server to keep the map offline
+const MAP_TILE_URL = process.env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_TILE_ATTRIBUTION = process.env.MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors';
+const MAP_MAX_ZOOM = parseInt(process.env.MAP_MAX_ZOOM) || 19;
+
+app.get('/api/map/config', (req, res) => {
+  res.json({ tile_url: MAP_TILE_URL, attribution: MAP_TILE_ATTRIBUTION, max_zoom: MAP_MAX_ZOOM });
+});
+
+// Search the library. ?q= takes words and filters (see the Search section),
+// ?similar=<id> is the same as similar:<id>; ?limit= (default 100) and ?offset= page.
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = [req.query.q, req.query.similar ? `similar:${req.query.similar}` : ''].filter(Boolean).join(' ');
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), SEARCH_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await searchLibrary(q, { limit, offset });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What the search box understands and how much of the library is indexed
+app.get('/api/search/status', (req, res) => {
+  try {
+    const embedder = searchEmbedders[SEARCH_EMBEDDER];
+    res.json({
+      items: db.prepare('SELECT COUNT(*) AS n FROM items WHERE owned = 1').get().n,
+      indexed: db.prepare('SELECT COUNT(*) AS n FROM search_index').get().n,
+      embedder: SEARCH_EMBEDDER,
+      embedded: embedder ? db.prepare(`
+        SELECT COUNT(*) AS n FROM search_embeddings e JOIN items i ON i.id = e.item_id
+        WHERE i.owned = 1 AND e.embedder = ?
+      `).get(embedder.key).n : 0,
+      fields: {
+        text: SEARCH_TEXT_FIELDS,
+        range: Object.keys(SEARCH_RANGE_FIELDS),
+        has: Object.keys(SEARCH_HAS),
+        other: ['orientation', 'playlist', 'similar']
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Queue embeddings for photos that have none ({ "all": true } also refreshes
+// stale ones), so similar: can compare them
+app.post('/api/search/embeddings', requireRole('curator'), (req, res) => {
+  try {
+    const embedder = searchEmbedder();
+    const ids = db.prepare(`
+      SELECT i.id FROM items i
+      LEFT JOIN search_embeddings e ON e.item_id = i.id AND e.embedder = ?
+      WHERE i.owned = 1 ${req.body?.all === true ? '' : 'AND e.item_id IS NULL'}
+      ORDER BY i.id
+    `).all(embedder.key).map(r => r.id);
+    if (ids.length === 0) {
+      return res.json({ job_id: null, message: 'Every photo already has an embedding' });
+    }
+    const job = enqueueJob('search-embed', ids.map(id => ({ target: id })));
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rebuild the full-text index from the mirror and EXIF tables
+app.post('/api/search/reindex', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, indexed: rebuildSearchIndex() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Geotagged photos still in the library, optionally within a box
+// (south, west, north, east; west > east crosses the antimeridian) or a
+// circle (lat, lon, radius_km). Must be before the :meuralId route.
+app.get('/api/exif/geo', (req, res) => {
+  try {
+    const q = Object.fromEntries(['south', 'west', 'north', 'east', 'lat', 'lon', 'radius_km']
+      .filter(k => req.query[k] !== undefined).map(k => [k, parseFloat(req.query[k])]));
+    if (Object.values(q).some(isNaN)) {
+      return res.status(400).json({ error: 'Coordinates and radius_km must be numbers' });
+    }
+
+    let box = null;
+    let circle = null;
+    if (q.radius_km !== undefined) {
+      if (q.lat === undefined || q.lon === undefined || q.radius_km <= 0) {
+        return res.status(400).json({ error: 'A radius query needs lat, lon and a positive radius_km' });
+      }
+      circle = q;
+      const dLat = q.radius_km / 111;
+      const dLon = Math.min(q.radius_km / (111 * Math.max(Math.cos(q.lat * Math.PI / 180), 0.01)), 180);
+      box = { south: q.lat - dLat, north: q.lat + dLat, west: q.lon - dLon, east: q.lon + dLon };
+      if (box.west < -180) box.west += 360;
+      if (box.east > 180) box.east -= 360;
+    } else if (['south', 'west', 'north', 'east'].some(k => q[k] !== undefined)) {
+      if (['south', 'west', 'north', 'east'].some(k => q[k] === undefined)) {
+        return res.status(400).json({ error: 'A box query needs south, west, north and east' });
+      }
+      box = q;
+    }
+
+    const where = ['p.gps_latitude IS NOT NULL', 'p.gps_longitude IS NOT NULL'];
+    const params = [];
+    if (box) {
+      where.push('p.gps_latitude BETWEEN ? AND ?');
+      params.push(box.south, box.north);
+      where.push(box.west <= box.east ? 'p.gps_longitude BETWEEN ? AND ?' : '(p.gps_longitude >= ? OR p.gps_longitude <= ?)');
+      params.push(box.west, box.east);
+    }
+    let rows = db.prepare(`
+      SELECT p.meural_id, p.gps_latitude, p.gps_longitude, p.location_name, p.date_taken, i.data_json
+      FROM photos p JOIN items i ON i.id = p.meural_id AND i.owned = 1
+      WHERE ${where.join(' AND ')}
+      ORDER BY p.date_taken DESC
+    `).all(...params);
+    if (circle) {
+      rows = rows.filter(r => distanceKm(circle.lat, circle.lon, r.gps_latitude, r.gps_longitude) <= circle.radius_km);
+    }
+
+    const data = rows.map(({ data_json, ...row }) => {
+      const item = JSON.parse(data_json);
+      return { ...row, name: item.name || null, image: item.image || item.thumbnail || null };
+    });
+    res.json({ data, count: data.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all photos with EXIF data
+app.get('/api/exif', (req, res) => {
+  try {
+    const stmt = db.prepare(`
+      SELECT meural_id, original_filename, date_taken, camera_make, camera_model,
+             lens_model, focal_length, aperture, shutter_speed, iso,
+             gps_latitude, gps_longitude, location_name, width, height, exif_source, exif_stripped
+      FROM photos 
+      ORDER BY date_taken DESC
+    `);
+    const photos = stmt.all();
+    res.json({ data: photos, count: photos.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get EXIF data for a photo
+app.get('/api/exif/:meuralId', (req, res) => {
+  try {
+    const stmt = db.prepare('SELECT * FROM photos WHERE meural_id = ?');
+    const photo = stmt.get(req.params.meuralId);
+    if (photo) {
+      res.json({ data: photo });
+    } else {
+      res.json({ data: null, message: 'No EXIF data found for this photo' });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete an item on Meural for good, skipping the trash
+async function deleteItem(id) {
+  const before = itemSnapshot(id);
+  const data = checkMeural(await meuralRequest('DELETE', `/items/${id}`));
+  forgetItem(id);
+  recordAudit('item.delete', { target: `item:${id}`, item_id: id, before });
+  return data;
+}
+
+// Delete an item (moved to the trash unless ?permanent=true)
+app.delete('/api/items/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.query.permanent !== 'true') {
+      return res.json(await trashItem(parseInt(req.params.id)));
+    }
+    const data = await deleteItem(parseInt(req.params.id));
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bulk delete items (queued as a background job)
+app.post('/api/items/bulk-delete', requireRole('admin'), (req, res) => {
+  try {
+    const { ids, permanent } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+    const job = enqueueJob('bulk-delete', ids.map(id => ({ target: id })), { permanent: permanent === true });
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change an item's metadata on Meural and in the mirror. action names the
+// audit entry, e.g. 'item.describe' for an applied AI description.
+async function updateItemMetadata(id, fields, { action = 'item.update' } = {}) {
+  const snapshot = itemSnapshot(id);
+  const data = await meuralRequest('PUT', `/items/${id}`, fields);
+  // Nothing changed, so nothing to mirror or audit (and undo stays retryable)
+  if (data?.detail || data?.error) return data;
+  if (data.data?.id) mirrorItem(data.data);
+  else patchMirroredItem(id, fields);
+  recordAudit(action, {
+    target: `item:${id}`, item_id: id,
+    before: snapshot ? Object.fromEntries(Object.keys(fields).map(f => [f, snapshot[f] ?? null])) : null,
+    after: fields
+  });
+  return data;
+}
+
+// Update item metadata (name, description, etc.)
+app.put('/api/items/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await updateItemMetadata(parseInt(req.params.id), req.body || {});
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Analyze existing photo with vision and generate smart description. Returns
+// the latest analysis made with the same caption settings unless ?refresh=true
+// (or { refresh: true }). Body (optional): { gallery_id } to use that
+// playlist's caption settings.
+app.post('/api/items/:id/analyze', requireRole('curator'), async (req, res) => {
+  try {
+    const refresh = req.query.refresh === 'true' || req.body?.refresh === true;
+    const result = await analyzeItem(parseInt(req.params.id), false, parseInt(req.body?.gallery_id) || null, { refresh });
+    res.json(result);
+  } catch (err) {
+    if (err.message === 'Not found') return res.status(404).json({ error: 'Photo not found' });
+    if (err.message === 'No image URL') return res.status(400).json({ error: 'No image URL available' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every analysis of a photo, newest first
+app.get('/api/items/:id/analyses', (req, res) => {
+  try {
+    const rows = db.prepare('SELECT * FROM analyses WHERE item_id = ? ORDER BY id DESC').all(parseInt(req.params.id));
+    res.json({ data: rows.map(parseAnalysis) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Analyze one item with vision and optionally apply the smart description.
+// galleryId picks the playlist whose caption settings apply; a previous
+// analysis with the same settings is reused unless refresh is set.
+async function analyzeItem(id, apply, galleryId = null, { refresh = false } = {}) {
+  // Get the photo from Meural
+  const itemData = await meuralRequest('GET', `/items/${id}`);
+  if (!itemData.data) throw new Error('Not found');
+  const photo = itemData.data;
+
+  const settings = captionSettingsFor({ itemId: id, galleryId });
+  let analysis = refresh ? null : latestAnalysis(id, settings);
+  const cached = Boolean(analysis);
+  if (!analysis) {
+    const imageUrl = photo.image || photo.image_large;
+    if (!imageUrl) throw new Error('No image URL');
+    analysis = await analyzeImageWithVision(await fetchImageBuffer(imageUrl), 'image/jpeg', settings);
+  }
+
+  // Get EXIF and location
+  const stmt = db.prepare('SELECT * FROM photos WHERE meural_id = ?');
+  const exifRecord = stmt.get(id);
+
+  let location = null;
+  if (exifRecord?.gps_latitude && exifRecord?.gps_longitude) {
+    location = await reverseGeocode(exifRecord.gps_latitude, exifRecord.gps_longitude);
+  }
+
+  const smartDescription = await generateSmartDescription(exifRecord || {}, location, analysis.caption, settings, photo);
+  if (!cached && !analysis.error) analysis = recordAnalysis(id, analysis, smartDescription, settings.gallery_id);
+
+  // Apply if requested
+  if (apply && smartDescription) {
+    checkMeural(await updateItemMetadata(id, { name: smartDescription, description: smartDescription }, { action: 'item.describe' }));
+  }
+
+  return {
+    id,
+    success: true,
+    current_name: photo.name,
+    current_description: photo.description,
+    provider: settings.provider,
+    style: settings.style,
+    vision_caption: analysis.caption,
+    analysis,
+    cached,
+    location: location?.city || null,
+    season: getSeason(exifRecord?.date_taken),
     smart_description: smartDescription,
-    error: response.ok ? null : data
+    applied: apply && smartDescription ? true : false
+  };
+}
+
+// Bulk analyze and update photos (queued as a background job).
+// gallery_id (optional) applies that playlist's caption settings to every item;
+// refresh: true analyzes again photos that already have a matching analysis.
+app.post('/api/items/bulk-analyze', requireRole('curator'), (req, res) => {
+  try {
+    const { ids, apply = false, gallery_id, refresh = false } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+    const job = enqueueJob('bulk-analyze', ids.map(id => ({ target: id })), {
+      apply: apply === true, gallery_id: parseInt(gallery_id) || null, refresh: refresh === true
+    });
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Fields, template placeholders and modes for bulk edits
+app.get('/api/items/bulk-edit/fields', (req, res) => {
+  res.json({ fields: Object.keys(BULK_EDIT_FIELDS), template_fields: TEMPLATE_FIELDS, modes: BULK_EDIT_MODES });
+});
+
+// Preview a bulk edit: the before and after values of every item, changing nothing.
+// Body: { ids, fields: { name: { mode: 'template', template }, description:
+// { mode: 'replace' | 'regex', find, replace, flags }, ... } }
+app.post('/api/items/bulk-edit/preview', requireRole('curator'), async (req, res) => {
+  try {
+    const { ids, fields } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+    const invalid = validateBulkEdit(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.json({ data: await planBulkEdit(ids, fields) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Apply a bulk edit (queued as a background job; one job item per changed item)
+app.post('/api/items/bulk-edit', requireRole('curator'), async (req, res) => {
+  try {
+    const { ids, fields } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+    const invalid = validateBulkEdit(fields);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const plan = await planBulkEdit(ids, fields);
+    const changed = plan.filter(p => !p.error && Object.keys(p.after).length > 0);
+    if (changed.length === 0) {
+      return res.status(400).json({ error: 'Nothing to change', data: plan });
+    }
+    const job = enqueueJob('bulk-edit', changed.map(p => ({ target: p.id, payload: p.after })), { fields });
+    res.status(202).json({ job_id: job.id, job, data: plan });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all galleries (playlists), served from the local mirror
+app.get('/api/galleries', async (req, res) => {
+  try {
+    await ensureMirror();
+    const rows = db.prepare('SELECT data_json FROM galleries ORDER BY name COLLATE NOCASE').all();
+    res.json({ data: rows.map(parseRow) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get items in a gallery (paginated or all), served from the local mirror
+app.get('/api/galleries/:id/items', async (req, res) => {
+  try {
+    await ensureMirror();
+    const galleryId = parseInt(req.params.id);
+    const order = getPlaylistOrder(galleryId);
+    const items = applyPlaylistOrder(galleryMembers(galleryId), order)
+      .map(row => ({ ...parseRow(row), dateTaken: row.date_taken || null }));
+    const ordering = order ? { mode: order.mode, direction: order.direction, seed: order.seed } : null;
+
+    if (req.query.all === 'true') {
+      res.json({ data: items, count: items.length, order: ordering });
+    } else {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const count = Math.max(parseInt(req.query.count) || 100, 1);
+      const data = items.slice((page - 1) * count, page * count);
+      res.json({ data, count: items.length, page, isLast: page * count >= items.length, order: ordering });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Gallery changes shared by the routes and undo
+async function createGallery(fields) {
+  const data = await meuralRequest('POST', '/galleries', fields);
+  if (data.data?.id) {
+    mirrorGallery(data.data);
+    recordAudit('gallery.create', { target: `gallery:${data.data.id}`, gallery_id: data.data.id, after: fields });
+  }
+  return data;
+}
+
+async function updateGallery(id, fields) {
+  const row = db.prepare('SELECT data_json FROM galleries WHERE id = ?').get(id);
+  const data = await meuralRequest('PUT', `/galleries/${id}`, fields);
+  if (data.data?.id) {
+    mirrorGallery(data.data);
+    const previous = row ? parseRow(row) : {};
+    recordAudit('gallery.update', {
+      target: `gallery:${id}`, gallery_id: id,
+      before: Object.fromEntries(Object.keys(fields).map(f => [f, previous[f] ?? null])),
+      after: fields
+    });
+  }
+  return data;
+}
+
+async function deleteGallery(id) {
+  const row = db.prepare('SELECT data_json FROM galleries WHERE id = ?').get(id);
+  const previous = row ? parseRow(row) : {};
+  const items = db.prepare('SELECT item_id FROM gallery_items WHERE gallery_id = ? ORDER BY position').all(id).map(r => r.item_id);
+  const data = await meuralRequest('DELETE', `/galleries/${id}`);
+  if (data?.detail || data?.error) return data;
+  forgetGallery(id);
+  recordAudit('gallery.delete', {
+    target: `gallery:${id}`, gallery_id: id,
+    before: { name: previous.name ?? null, description: previous.description ?? null, items }
+  });
+  return data;
+}
+
+// A create that failed without an answer may still have made the playlist:
+// one Meural has that the mirror doesn't, with the same name
+async function findUnmirroredGallery(name) {
+  const known = new Set(db.prepare('SELECT id FROM galleries').all().map(r => r.id));
+  return (await fetchAllPages('/user/galleries')).find(g => !known.has(g.id) && g.name === name) || null;
+}
+
+async function meuralHasMember(galleryId, itemId) {
+  return (await fetchAllPages(`/galleries/${galleryId}/items`)).some(item => item.id === itemId);
+}
+
+async function setGalleryMembership(galleryId, itemId, present) {
+  const data = await meuralRequest(present ? 'POST' : 'DELETE', `/galleries/${galleryId}/items/${itemId}`);
+  if (data?.detail || data?.error) return data;
+  mirrorMembership(galleryId, itemId, present);
+  return data;
+}
+
+// Create a gallery
+app.post('/api/galleries', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await createGallery(req.body || {});
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a gallery
+app.put('/api/galleries/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await updateGallery(parseInt(req.params.id), req.body || {});
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a gallery
+app.delete('/api/galleries/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await deleteGallery(parseInt(req.params.id));
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add item to gallery
+app.post('/api/galleries/:galleryId/items/:itemId', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await setGalleryMembership(parseInt(req.params.galleryId), parseInt(req.params.itemId), true);
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove item from gallery
+app.delete('/api/galleries/:galleryId/items/:itemId', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await setGalleryMembership(parseInt(req.params.galleryId), parseInt(req.params.itemId), false);
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Caption providers, styles and defaults, plus every playlist's overrides
+app.get('/api/captions', (req, res) => {
+  try {
+    res.json({
+      providers: Object.entries(captionProviders).map(([name, p]) => ({ name, label: p.label, available: p.available() })),
+      styles: CAPTION_STYLES,
+      template_fields: [...TEMPLATE_FIELDS, 'caption'],
+      defaults: CAPTION_DEFAULTS,
+      data: db.prepare('SELECT * FROM caption_settings ORDER BY gallery_id').all()
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A playlist's caption overrides and the settings that result
+app.get('/api/galleries/:id/captions', (req, res) => {
+  try {
+    const galleryId = parseInt(req.params.id);
+    const row = db.prepare('SELECT * FROM caption_settings WHERE gallery_id = ?').get(galleryId);
+    res.json({ data: row || null, effective: captionSettingsFor({ galleryId }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a playlist's caption overrides. Body: { provider, prompt, style,
+// template, language }; null or missing fields use the defaults.
+app.put('/api/galleries/:id/captions', requireRole('curator'), (req, res) => {
+  try {
+    const galleryId = parseInt(req.params.id);
+    const settings = Object.fromEntries(CAPTION_SETTING_FIELDS.map(field => {
+      const value = req.body?.[field];
+      return [field, typeof value === 'string' && value.trim() === '' ? null : value ?? null];
+    }));
+    const invalid = validateCaptionSettings(settings);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    db.prepare(`
+      INSERT INTO caption_settings (gallery_id, provider, prompt, style, template, language)
+      VALUES (@gallery_id, @provider, @prompt, @style, @template, @language)
+      ON CONFLICT(gallery_id) DO UPDATE SET provider = excluded.provider, prompt = excluded.prompt,
+        style = excluded.style, template = excluded.template, language = excluded.language,
+        updated_at = CURRENT_TIMESTAMP
+    `).run({ gallery_id: galleryId, ...settings });
+    res.json({
+      data: db.prepare('SELECT * FROM caption_settings WHERE gallery_id = ?').get(galleryId),
+      effective: captionSettingsFor({ galleryId })
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop a playlist's caption overrides
+app.delete('/api/galleries/:id/captions', requireRole('curator'), (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM caption_settings WHERE gallery_id = ?').run(parseInt(req.params.id));
+    res.json({ success: true, deleted: result.changes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What a playlist operation would create and add, without changing anything
+app.post('/api/playlist-operations/preview', async (req, res) => {
+  try {
+    await ensureMirror();
+    const plan = planPlaylistOperation(req.body || {});
+    if (plan.error) return res.status(400).json({ error: plan.error });
+    res.json(plan);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a playlist operation as a job. Body as for the preview.
+app.post('/api/playlist-operations', requireRole('curator'), async (req, res) => {
+  try {
+    await ensureMirror();
+    const plan = planPlaylistOperation(req.body || {});
+    if (plan.error) return res.status(400).json({ error: plan.error });
+    if (plan.changes === 0) return res.status(400).json({ error: 'Nothing to create or add' });
+    const job = runPlaylistOperation(plan);
+    res.status(202).json({ job_id: job.id, job, plan });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A playlist's stored order, the order it gives and Meural's current order
+function playlistOrderResponse(galleryId) {
+  const members = galleryMembers(galleryId);
+  const order = getPlaylistOrder(galleryId);
+  const itemIds = applyPlaylistOrder(members, order).map(m => m.id);
+  const meuralIds = members.map(m => m.id);
+  return {
+    data: order,
+    modes: PLAYLIST_ORDER_MODES,
+    item_ids: itemIds,
+    meural_item_ids: meuralIds,
+    in_sync: itemIds.every((id, i) => id === meuralIds[i])
   };
 }
 
-// SSE streaming upload endpoint — real-time progress + parallel uploads
-app.post('/api/items/upload-stream', upload.any(), async (req, res) => {
-  const files = req.files || [];
-  if (files.length === 0) {
-    return res.status(400).json({ error: 'No files received' });
+app.get('/api/galleries/:id/order', async (req, res) => {
+  try {
+    await ensureMirror();
+    res.json(playlistOrderResponse(parseInt(req.params.id)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Store a playlist's order. Body: { mode, direction, seed, item_ids }; item_ids
+// (every member, in order) is for mode 'manual', seed for 'shuffle' and
+// picked at random when missing.
+app.put('/api/galleries/:id/order', requireRole('curator'), async (req, res) => {
+  try {
+    await ensureMirror();
+    const galleryId = parseInt(req.params.id);
+    const { mode, direction = 'asc', item_ids = null } = req.body || {};
+    let seed = req.body?.seed ?? null;
+    if (mode === 'shuffle' && seed == null) seed = Math.floor(Math.random() * 2 ** 31);
+    const order = { mode, direction, seed: mode === 'shuffle' ? seed : null, item_ids: mode === 'manual' ? item_ids : null };
+    const invalid = validatePlaylistOrder(order);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (order.item_ids) {
+      const members = new Set(galleryMembers(galleryId).map(m => m.id));
+      const strangers = order.item_ids.filter(id => !members.has(id));
+      if (strangers.length) return res.status(400).json({ error: `Not in this playlist: ${strangers.join(', ')}` });
+    }
+
+    db.prepare(`
+      INSERT INTO playlist_orders (gallery_id, mode, direction, seed, item_ids_json)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(gallery_id) DO UPDATE SET mode = excluded.mode, direction = excluded.direction,
+        seed = excluded.seed, item_ids_json = excluded.item_ids_json, pushed_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(galleryId, order.mode, order.direction, order.seed, order.item_ids ? JSON.stringify(order.item_ids) : null);
+    res.json(playlistOrderResponse(galleryId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Go back to Meural's order
+app.delete('/api/galleries/:id/order', requireRole('curator'), (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM playlist_orders WHERE gallery_id = ?').run(parseInt(req.params.id));
+    res.json({ success: true, deleted: result.changes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rewrite the playlist on Meural in its stored order, as a job
+app.post('/api/galleries/:id/order/push', requireRole('curator'), async (req, res) => {
+  try {
+    const galleryId = parseInt(req.params.id);
+    if (!getPlaylistOrder(galleryId)) return res.status(400).json({ error: 'This playlist has no stored order' });
+
+    // Plan against Meural's current order, not a possibly stale mirror
+    const members = await fetchAllPages(`/galleries/${galleryId}/items`);
+    replaceGalleryMembers(galleryId, members.map(m => m.id), null);
+    const previous = members.map(m => m.id);
+    const order = orderedGalleryItemIds(galleryId);
+    const moves = planOrderPush(previous, order);
+    if (moves.length === 0) {
+      db.prepare('UPDATE playlist_orders SET pushed_at = CURRENT_TIMESTAMP WHERE gallery_id = ?').run(galleryId);
+      return res.json({ job_id: null, message: 'Meural already plays this order' });
+    }
+    const job = enqueueJob('playlist-order-push', moves.map(id => ({ target: id })), { gallery_id: galleryId, order, previous });
+    res.status(202).json({ job_id: job.id, job, moves: moves.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all devices (frames), served from the local mirror
+app.get('/api/devices', async (req, res) => {
+  try {
+    await ensureMirror();
+    const rows = db.prepare('SELECT data_json FROM devices ORDER BY alias COLLATE NOCASE').all();
+    res.json({ data: rows.map(parseRow) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assign gallery to device
+app.post('/api/devices/:deviceId/galleries/:galleryId', requireRole('curator'), async (req, res) => {
+  try {
+    const data = await assignGalleryToDevice(req.params.deviceId, req.params.galleryId);
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get device galleries
+app.get('/api/devices/:id/galleries', async (req, res) => {
+  try {
+    const data = await meuralRequest('GET', `/devices/${req.params.id}/galleries`);
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Trigger a sync (full=true also refetches membership of unchanged galleries)
+app.post('/api/sync', requireRole('curator'), async (req, res) => {
+  try {
+    const full = req.body?.full === true || req.query.full === 'true';
+    const counts = await syncLibrary({ full, trigger: 'manual' });
+    res.json({ success: true, ...counts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mirror status: last runs, row counts and whether a sync is running
+app.get('/api/sync/status', (req, res) => {
+  try {
+    const lastRun = db.prepare('SELECT * FROM sync_runs ORDER BY id DESC LIMIT 1').get() || null;
+    const lastSuccess = db.prepare("SELECT * FROM sync_runs WHERE status = 'completed' ORDER BY id DESC LIMIT 1").get() || null;
+    res.json({
+      running: !!syncInFlight,
+      interval_minutes: SYNC_INTERVAL_MINUTES > 0 ? SYNC_INTERVAL_MINUTES : null,
+      last_run: lastRun,
+      last_success: lastSuccess,
+      counts: {
+        items: db.prepare('SELECT COUNT(*) AS count FROM items WHERE owned = 1').get().count,
+        galleries: db.prepare('SELECT COUNT(*) AS count FROM galleries').get().count,
+        memberships: db.prepare('SELECT COUNT(*) AS count FROM gallery_items').get().count,
+        devices: db.prepare('SELECT COUNT(*) AS count FROM devices').get().count
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List smart playlists
+app.get('/api/smart-playlists', (req, res) => {
+  try {
+    const rows = db.prepare('SELECT id FROM smart_playlists ORDER BY name COLLATE NOCASE').all();
+    res.json({ data: rows.map(r => getSmartPlaylist(r.id)), fields: SMART_FIELDS, ops: SMART_OPS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview a rule without saving it (gallery_id optional, to see adds/removes)
+app.post('/api/smart-playlists/preview', (req, res) => {
+  try {
+    const { rule, gallery_id } = req.body;
+    const error = validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const plan = planSmartPlaylist(parseInt(gallery_id) || 0, rule);
+    res.json({ count: plan.matches.length, matches: plan.matches, add: plan.add, remove: plan.remove });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a smart playlist (creates the Meural gallery unless gallery_id is given)
+app.post('/api/smart-playlists', requireRole('curator'), async (req, res) => {
+  try {
+    const { name, rule, enabled = true } = req.body;
+    let galleryId = parseInt(req.body.gallery_id) || null;
+    const error = validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!name && !galleryId) {
+      return res.status(400).json({ error: 'name or gallery_id is required' });
+    }
+    if (galleryId && db.prepare('SELECT 1 FROM smart_playlists WHERE gallery_id = ?').get(galleryId)) {
+      return res.status(409).json({ error: 'That playlist already has a rule' });
+    }
+
+    if (!galleryId) {
+      const created = await createGallery({ name });
+      if (!created.data?.id) {
+        return res.status(502).json({ error: 'Failed to create gallery', details: created });
+      }
+      galleryId = created.data.id;
+    }
+
+    const galleryName = name || db.prepare('SELECT name FROM galleries WHERE id = ?').get(galleryId)?.name || `Gallery ${galleryId}`;
+    const id = db.prepare('INSERT INTO smart_playlists (gallery_id, name, rule_json, enabled) VALUES (?, ?, ?, ?)')
+      .run(galleryId, galleryName, JSON.stringify(rule), enabled ? 1 : 0).lastInsertRowid;
+
+    const result = enabled ? await queueSmartPlaylistSync(id) : null;
+    res.json({ data: getSmartPlaylist(id), result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a smart playlist's name, rule or enabled flag, then re-sync it
+app.put('/api/smart-playlists/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const smart = getSmartPlaylist(req.params.id);
+    if (!smart) {
+      return res.status(404).json({ error: 'Smart playlist not found' });
+    }
+    const rule = req.body.rule ?? smart.rule;
+    const error = validateRule(rule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const name = req.body.name ?? smart.name;
+    const enabled = req.body.enabled ?? smart.enabled;
+
+    if (name !== smart.name) {
+      const data = await meuralRequest('PUT', `/galleries/${smart.gallery_id}`, { name });
+      if (data.data?.id) mirrorGallery(data.data);
+    }
+    db.prepare('UPDATE smart_playlists SET name = ?, rule_json = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(name, JSON.stringify(rule), enabled ? 1 : 0, smart.id);
+
+    const result = enabled ? await queueSmartPlaylistSync(smart.id) : null;
+    res.json({ data: getSmartPlaylist(smart.id), result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a smart playlist's rule (the Meural gallery and its items are kept)
+app.delete('/api/smart-playlists/:id', requireRole('curator'), (req, res) => {
+  try {
+    const { changes } = db.prepare('DELETE FROM smart_playlists WHERE id = ?').run(req.params.id);
+    if (!changes) {
+      return res.status(404).json({ error: 'Smart playlist not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-evaluate one smart playlist now
+app.post('/api/smart-playlists/:id/sync', requireRole('curator'), async (req, res) => {
+  try {
+    if (!getSmartPlaylist(req.params.id)) {
+      return res.status(404).json({ error: 'Smart playlist not found' });
+    }
+    const result = await queueSmartPlaylistSync(req.params.id);
+    res.json({ success: true, result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const SCHEDULE_FIELDS = ['name', 'device_id', 'gallery_id', 'days', 'start_time', 'end_time', 'start_date', 'end_date', 'priority', 'enabled'];
+
+function scheduleParams(body) {
+  return [
+    body.name, body.device_id ? parseInt(body.device_id) : null, parseInt(body.gallery_id),
+    body.days ? JSON.stringify(body.days) : null, body.start_time || null, body.end_time || null,
+    body.start_date || null, body.end_date || null, parseInt(body.priority) || 0, body.enabled === false ? 0 : 1
+  ];
+}
+
+// List schedules with what each frame should be playing right now
+app.get('/api/schedules', (req, res) => {
+  try {
+    const schedules = db.prepare('SELECT * FROM schedules ORDER BY priority DESC, id').all().map(parseSchedule);
+    const active = db.prepare('SELECT id FROM devices').all().map(d => ({
+      device_id: d.id,
+      schedule_id: scheduler.resolve(d.id)?.id ?? null
+    }));
+    res.json({ data: schedules, active });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview the week: per-frame segments from ?start (default now) for ?days
+app.get('/api/schedules/timeline', (req, res) => {
+  try {
+    const start = req.query.start ? new Date(req.query.start) : scheduler.now();
+    if (isNaN(start)) {
+      return res.status(400).json({ error: 'Invalid start date' });
+    }
+    const days = Math.min(parseInt(req.query.days) || 7, 31);
+    const step = Math.max(parseInt(req.query.step) || 15, 5);
+    res.json({ start: start.toISOString(), days, data: scheduler.timeline(start, days, step) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Recent scheduler runs and their outcome
+app.get('/api/schedules/runs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const rows = req.query.schedule_id
+      ? db.prepare('SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?').all(req.query.schedule_id, limit)
+      : db.prepare('SELECT * FROM schedule_runs ORDER BY id DESC LIMIT ?').all(limit);
+    res.json({ data: rows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run the scheduler now instead of waiting for the next tick
+app.post('/api/schedules/run', requireRole('curator'), async (req, res) => {
+  try {
+    const runs = await scheduler.tick({ retryFailed: true });
+    res.json({ success: true, runs });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a schedule
+app.post('/api/schedules', requireRole('curator'), (req, res) => {
+  try {
+    const error = validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const id = db.prepare(`
+      INSERT INTO schedules (name, device_id, gallery_id, days, start_time, end_time, start_date, end_date, priority, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...scheduleParams(req.body)).lastInsertRowid;
+    res.json({ data: parseSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a schedule (fields not given keep their value)
+app.put('/api/schedules/:id', requireRole('curator'), (req, res) => {
+  try {
+    const row = db.prepare('SELECT * FROM schedules WHERE id = ?').get(req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const merged = { ...parseSchedule(row) };
+    SCHEDULE_FIELDS.forEach(f => { if (req.body[f] !== undefined) merged[f] = req.body[f]; });
+    const error = validateSchedule(merged);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    db.prepare(`
+      UPDATE schedules SET name = ?, device_id = ?, gallery_id = ?, days = ?, start_time = ?, end_time = ?,
+        start_date = ?, end_date = ?, priority = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...scheduleParams(merged), row.id);
+    res.json({ data: parseSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(row.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a schedule
+app.delete('/api/schedules/:id', requireRole('curator'), (req, res) => {
+  try {
+    const { changes } = db.prepare('DELETE FROM schedules WHERE id = ?').run(req.params.id);
+    if (!changes) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    db.prepare('DELETE FROM schedule_state WHERE schedule_id = ?').run(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Clusters of near-duplicate photos (?threshold = max differing bits per hash)
+app.get('/api/duplicates', (req, res) => {
+  try {
+    const threshold = Math.min(Math.max(parseInt(req.query.threshold) || DUPLICATE_THRESHOLD, 0), 32);
+    const clusters = findDuplicateClusters(threshold);
+    const hashed = db.prepare('SELECT COUNT(*) AS count FROM photos p JOIN items i ON i.id = p.meural_id AND i.owned = 1 WHERE p.dhash IS NOT NULL').get().count;
+    const total = db.prepare('SELECT COUNT(*) AS count FROM items WHERE owned = 1').get().count;
+    res.json({
+      threshold,
+      hashed,
+      unhashed: total - hashed,
+      duplicates: clusters.reduce((sum, c) => sum + c.items.length - 1, 0),
+      clusters
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check files before uploading: which already look like library photos
+app.post('/api/duplicates/check', requireRole('curator'), upload.any(), async (req, res) => {
+  const files = req.files || [];
+  try {
+    const threshold = parseInt(req.query.threshold) || DUPLICATE_THRESHOLD;
+    const results = [];
+    for (const file of files) {
+      const { buffer } = await normalizeImage(fs.readFileSync(file.path), file.originalname).catch(() => ({ buffer: null }));
+      const hashes = buffer ? await computeImageHashes(buffer) : { dhash: null, phash: null };
+      results.push({ filename: file.originalname, matches: findNearDuplicates(hashes, threshold).slice(0, 5) });
+    }
+    res.json({ results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    files.forEach(file => { try { fs.unlinkSync(file.path); } catch (e) {} });
+  }
+});
+
+// Queue a job hashing every library item that has no fingerprint yet
+app.post('/api/duplicates/backfill', requireRole('curator'), (req, res) => {
+  try {
+    const ids = db.prepare(`
+      SELECT i.id FROM items i LEFT JOIN photos p ON p.meural_id = i.id
+      WHERE i.owned = 1 AND p.dhash IS NULL
+      ORDER BY i.id
+    `).all().map(r => r.id);
+    if (ids.length === 0) {
+      return res.json({ job_id: null, message: 'Every photo is already hashed' });
+    }
+    const job = enqueueJob('hash-backfill', ids.map(id => ({ target: id })));
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Propose items to delete to reach ?target_free free slots under the quota.
+// ?strategies=duplicates:5,unplaylisted (optional weights), ?exclude=1,2,
+// ?protect=galleryId,... keeps those playlists' photos out of the plan.
+app.get('/api/cleanup/plan', (req, res) => {
+  try {
+    const idList = value => String(value || '').split(',').map(v => parseInt(v)).filter(Boolean);
+    const targetFree = parseInt(req.query.target_free);
+    if (!(targetFree >= 0)) {
+      return res.status(400).json({ error: 'target_free must be a number of free slots' });
+    }
+    let strategies;
+    try {
+      strategies = parseCleanupStrategies(req.query.strategies);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(planCleanup({
+      targetFree,
+      quota: parseInt(req.query.quota) || ITEM_QUOTA,
+      strategies,
+      exclude: idList(req.query.exclude),
+      protectGalleries: idList(req.query.protect),
+      minPixels: parseInt(req.query.min_pixels) || LOW_RESOLUTION_PIXELS
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Set up SSE
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive'
-  });
+// List trashed items
+app.get('/api/trash', (req, res) => {
+  try {
+    const rows = db.prepare('SELECT * FROM trash ORDER BY deleted_at DESC, id DESC').all();
+    const totalSize = rows.reduce((sum, r) => sum + (r.size || 0), 0);
+    res.json({ data: rows.map(parseTrashRow), count: rows.length, total_size: totalSize, retention_days: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  const send = (event, data) => {
-    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
-  };
+// Saved image of a trashed item
+app.get('/api/trash/:id/image', (req, res) => {
+  try {
+    const row = db.prepare('SELECT file_name, mime_type FROM trash WHERE id = ?').get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Not in trash' });
+    res.type(row.mime_type || 'image/jpeg').sendFile(path.join(trashDir, row.file_name));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Restore one trashed item
+app.post('/api/trash/:id/restore', requireRole('curator'), async (req, res) => {
   try {
-    const token = await getToken();
-    const total = files.length;
-    const concurrency = 4;
-    let completed = 0;
-    const results = [];
+    if (!db.prepare('SELECT 1 FROM trash WHERE id = ?').get(req.params.id)) {
+      return res.status(404).json({ error: 'Not in trash' });
+    }
+    const result = await restoreTrashItem(parseInt(req.params.id));
+    syncAllSmartPlaylists('restore').catch(() => {});
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    send('start', { total });
-
-    // Process in parallel batches
-    for (let i = 0; i < files.length; i += concurrency) {
-      const batch = files.slice(i, i + concurrency);
-      const batchResults = await Promise.allSettled(
-        batch.map(async (file) => {
-          try {
-            const result = await uploadSinglePhoto(file, token, total);
-            completed++;
-            send('progress', { completed, total, filename: result.filename, success: result.success });
-            return result;
-          } catch (err) {
-            completed++;
-            const failResult = { filename: file.originalname, success: false, error: err.message };
-            send('progress', { completed, total, filename: file.originalname, success: false, error: err.message });
-            try { fs.unlinkSync(file.path); } catch (e) {}
-            return failResult;
-          }
-        })
-      );
-      results.push(...batchResults.map(r => r.status === 'fulfilled' ? r.value : r.reason));
+// Restore several trashed items (queued as a background job)
+app.post('/api/trash/restore', requireRole('curator'), (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
     }
+    const job = enqueueJob('trash-restore', ids.map(id => ({ target: id })));
+    res.status(202).json({ job_id: job.id, job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    send('done', { results });
+// Permanently delete one trashed item
+app.delete('/api/trash/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!removeTrashEntry(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Not in trash' });
+    }
+    res.json({ success: true });
   } catch (err) {
-    send('error', { message: err.message });
+    res.status(500).json({ error: err.message });
   }
+});
 
-  res.end();
+// Permanently delete trashed items: { ids }, { expired: true } or {} for everything
+app.post('/api/trash/purge', requireRole('admin'), (req, res) => {
+  try {
+    const { ids, expired } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+    let purged;
+    if (expired) purged = purgeExpiredTrash();
+    else {
+      const targets = ids || db.prepare('SELECT id FROM trash').all().map(r => r.id);
+      purged = targets.filter(id => removeTrashEntry(parseInt(id))).length;
+    }
+    res.json({ success: true, purged });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Legacy non-streaming upload endpoint (kept for backward compat)
-app.post('/api/items/upload', upload.any(), async (req, res) => {
+// Preview how files would be fitted to a frame (multipart "photos" plus fit,
+// device_id or orientation). Returns small JPEG previews as data URLs.
+app.post('/api/fit/preview', requireRole('curator'), upload.any(), async (req, res) => {
+  const files = req.files || [];
   try {
-    const token = await getToken();
-    const files = req.files || [];
     if (files.length === 0) {
       return res.status(400).json({ error: 'No files received' });
     }
+    const { fit, error } = parseFitOptions({ fit: 'crop-attention', ...req.body });
+    if (error) return res.status(400).json({ error });
 
-    const concurrency = 4;
-    const results = [];
-
-    for (let i = 0; i < files.length; i += concurrency) {
-      const batch = files.slice(i, i + concurrency);
-      const batchResults = await Promise.allSettled(
-        batch.map(async (file) => {
-          try {
-            return await uploadSinglePhoto(file, token, files.length);
-          } catch (err) {
-            try { fs.unlinkSync(file.path); } catch (e) {}
-            return { filename: file.originalname, success: false, error: err.message };
-          }
-        })
-      );
-      results.push(...batchResults.map(r => r.status === 'fulfilled' ? r.value : r.reason));
+    const previews = [];
+    for (const group of await planFrameFit(files, fit)) {
+      const [file, pair] = group.files;
+      try {
+        const { buffer } = await normalizeImage(fs.readFileSync(file.path), file.originalname);
+        const pairBuffer = pair ? (await normalizeImage(fs.readFileSync(pair.path), pair.originalname)).buffer : null;
+        const output = group.mode ? await fitToFrame(buffer, group.mode, fit.orientation, pairBuffer) : buffer;
+        const preview = await sharp(output).rotate().resize(480, 480, { fit: 'inside' }).jpeg({ quality: 75 }).toBuffer();
+        previews.push({ files: group.files.map(f => f.originalname), mode: group.mode, image: `data:image/jpeg;base64,${preview.toString('base64')}` });
+      } catch (err) {
+        previews.push({ files: group.files.map(f => f.originalname), mode: group.mode, error: err.message });
+      }
     }
+    res.json({ orientation: fit.orientation, canvas: FRAME_CANVAS[fit.orientation], previews });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    files.forEach(file => fs.rmSync(file.path, { force: true }));
+  }
+});
 
-    res.json({ results });
+// Download the whole library as a tar archive
+app.get('/api/export', async (req, res) => {
+  try {
+    await ensureMirror();
+    const pack = tar.pack();
+    res.setHeader('Content-Type', 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="meural-library-${new Date().toISOString().slice(0, 10)}.tar"`);
+    pack.pipe(res);
+    const manifest = await writeLibraryExport(pack);
+    console.log(`Exported ${manifest.items.length} photos and ${manifest.galleries.length} playlists (${manifest.failed.length} failed)`);
   } catch (err) {
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get EXIF stats summary (must be before :meuralId route)
-app.get('/api/exif/stats', (req, res) => {
+// Import a library archive (multipart field "archive"). With dry_run=true only
+// the plan is returned; otherwise the uploads are queued as a background job.
+app.post('/api/import', requireRole('admin'), archiveUpload.single('archive'), async (req, res) => {
+  const archivePath = req.file?.path;
   try {
-    const cameras = db.prepare('SELECT camera_model, COUNT(*) as count FROM photos WHERE camera_model IS NOT NULL GROUP BY camera_model ORDER BY count DESC').all();
-    const lenses = db.prepare('SELECT lens_model, COUNT(*) as count FROM photos WHERE lens_model IS NOT NULL GROUP BY lens_model ORDER BY count DESC').all();
-    const years = db.prepare("SELECT strftime('%Y', date_taken) as year, COUNT(*) as count FROM photos WHERE date_taken IS NOT NULL GROUP BY year ORDER BY year DESC").all();
-    const withGps = db.prepare('SELECT COUNT(*) as count FROM photos WHERE gps_latitude IS NOT NULL').get();
-    const total = db.prepare('SELECT COUNT(*) as count FROM photos').get();
-    
-    res.json({
-      total: total.count,
-      with_gps: withGps.count,
-      cameras,
-      lenses,
-      years
-    });
+    if (!archivePath) {
+      return res.status(400).json({ error: 'No archive received' });
+    }
+    const dryRun = [req.query.dry_run, req.body?.dry_run].includes('true');
+    let archive;
+    try {
+      archive = await readImportArchive(archivePath, dryRun ? null : uploadDir);
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read archive: ${err.message}` });
+    }
+    const plan = planImport(archive, importLibrary);
+    if (dryRun) return res.json({ dry_run: true, ...plan });
+
+    const job = enqueueImportJob(archive, plan);
+    res.status(202).json({ job_id: job.id, job, ...plan });
   } catch (err) {
     res.status(500).json({ error: err.message });
+  } finally {
+    if (archivePath) fs.rmSync(archivePath, { force: true });
   }
 });
 
-// Get all photos with EXIF data
-app.get('/api/exif', (req, res) => {
+// Progress and old → new ID mapping of an import
+app.get('/api/import/:jobId', (req, res) => {
   try {
-    const stmt = db.prepare(`
-      SELECT meural_id, original_filename, date_taken, camera_make, camera_model,
-             lens_model, focal_length, aperture, shutter_speed, iso,
-             gps_latitude, gps_longitude, location_name, width, height
-      FROM photos 
-      ORDER BY date_taken DESC
-    `);
-    const photos = stmt.all();
-    res.json({ data: photos, count: photos.length });
+    const job = getJob(req.params.jobId);
+    if (!job || job.type !== 'library-import') {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    const { galleries, archived_ids, ...params } = job.params;
+    res.json({ job: { ...job, params }, id_map: importIdMap(job.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get EXIF data for a photo
-app.get('/api/exif/:meuralId', (req, res) => {
+// List watch folders with per-status file counts
+app.get('/api/watchers', (req, res) => {
   try {
-    const stmt = db.prepare('SELECT * FROM photos WHERE meural_id = ?');
-    const photo = stmt.get(req.params.meuralId);
-    if (photo) {
-      res.json({ data: photo });
-    } else {
-      res.json({ data: null, message: 'No EXIF data found for this photo' });
+    const watchers = db.prepare('SELECT * FROM watchers ORDER BY path').all().map(parseWatcher);
+    for (const watcher of watchers) {
+      watcher.counts = {};
+      db.prepare('SELECT status, COUNT(*) AS count FROM watch_files WHERE watcher_id = ? GROUP BY status').all(watcher.id)
+        .forEach(r => { watcher.counts[r.status] = r.count; });
     }
+    res.json({ data: watchers, interval_seconds: WATCH_INTERVAL_SECONDS });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete an item
-app.delete('/api/items/:id', async (req, res) => {
+// Ingestion log, newest first (filter by watcher_id and status)
+app.get('/api/watchers/log', (req, res) => {
   try {
-    const data = await meuralRequest('DELETE', `/items/${req.params.id}`);
-    res.json({ success: true, data });
+    const where = [];
+    const params = [];
+    if (req.query.watcher_id) {
+      where.push('watcher_id = ?');
+      params.push(parseInt(req.query.watcher_id));
+    }
+    if (req.query.status) {
+      where.push('status = ?');
+      params.push(req.query.status);
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const rows = db.prepare(`
+      SELECT * FROM watch_files ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC, id DESC LIMIT ?
+    `).all(...params, limit);
+    res.json({ data: rows });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Bulk delete items
-app.post('/api/items/bulk-delete', async (req, res) => {
+// Add a watch folder
+app.post('/api/watchers', requireRole('admin'), async (req, res) => {
   try {
-    const { ids } = req.body;
-    const results = [];
-    for (const id of ids) {
-      try {
-        await meuralRequest('DELETE', `/items/${id}`);
-        results.push({ id, success: true });
-      } catch (err) {
-        results.push({ id, success: false, error: err.message });
-      }
+    const watcher = { recursive: true, enabled: true, ...req.body };
+    const error = validateWatcher(watcher);
+    if (error) return res.status(400).json({ error });
+    if (db.prepare('SELECT 1 FROM watchers WHERE path = ?').get(watcher.path)) {
+      return res.status(400).json({ error: `Already watching ${watcher.path}` });
     }
-    res.json({ results });
+    const id = db.prepare(`
+      INSERT INTO watchers (path, gallery_id, subfolder_galleries_json, recursive, enabled) VALUES (?, ?, ?, ?, ?)
+    `).run(
+      watcher.path, watcher.gallery_id ?? null, JSON.stringify(watcher.subfolder_galleries || {}),
+      watcher.recursive ? 1 : 0, watcher.enabled ? 1 : 0
+    ).lastInsertRowid;
+    const created = parseWatcher(db.prepare('SELECT * FROM watchers WHERE id = ?').get(id));
+    const scan = created.enabled ? await scanWatcher(created) : null;
+    res.json({ data: created, scan });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update item metadata (name, description, etc.)
-app.put('/api/items/:id', async (req, res) => {
+// Update a watch folder
+app.put('/api/watchers/:id', requireRole('admin'), (req, res) => {
   try {
-    const data = await meuralRequest('PUT', `/items/${req.params.id}`, req.body);
-    res.json(data);
+    const row = db.prepare('SELECT * FROM watchers WHERE id = ?').get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Watcher not found' });
+    const { id, last_scan_at, last_error, created_at, ...fields } = req.body;
+    const watcher = { ...parseWatcher(row), ...fields };
+    const error = validateWatcher(watcher);
+    if (error) return res.status(400).json({ error });
+    db.prepare(`
+      UPDATE watchers SET path = ?, gallery_id = ?, subfolder_galleries_json = ?, recursive = ?, enabled = ? WHERE id = ?
+    `).run(
+      watcher.path, watcher.gallery_id ?? null, JSON.stringify(watcher.subfolder_galleries || {}),
+      watcher.recursive ? 1 : 0, watcher.enabled ? 1 : 0, row.id
+    );
+    res.json({ data: parseWatcher(db.prepare('SELECT * FROM watchers WHERE id = ?').get(row.id)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Analyze existing photo with vision and generate smart description
-app.post('/api/items/:id/analyze', async (req, res) => {
+// Stop watching a folder (its log is removed too; uploaded photos stay)
+app.delete('/api/watchers/:id', requireRole('admin'), (req, res) => {
   try {
-    // Get the photo from Meural
-    const itemData = await meuralRequest('GET', `/items/${req.params.id}`);
-    if (!itemData.data) {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    
-    const photo = itemData.data;
-    
-    // Download the image
-    const imageUrl = photo.image || photo.image_large;
-    if (!imageUrl) {
-      return res.status(400).json({ error: 'No image URL available' });
-    }
-    
-    const imageResponse = await fetch(imageUrl);
-    const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-    
-    // Get EXIF from our database if we have it
-    const stmt = db.prepare('SELECT * FROM photos WHERE meural_id = ?');
-    const exifRecord = stmt.get(req.params.id);
-    
-    // Analyze with vision
-    const visionCaption = await analyzeImageWithVision(imageBuffer, 'image/jpeg');
-    
-    // Build location info
-    let location = null;
-    if (exifRecord?.gps_latitude && exifRecord?.gps_longitude) {
-      location = await reverseGeocode(exifRecord.gps_latitude, exifRecord.gps_longitude);
-    }
-    
-    // Generate smart description
-    const exifData = exifRecord || {};
-    const smartDescription = await generateSmartDescription(exifData, location, visionCaption);
-    
-    res.json({
-      id: req.params.id,
-      current_name: photo.name,
-      current_description: photo.description,
-      vision_caption: visionCaption,
-      location: location?.city || null,
-      season: getSeason(exifData.date_taken),
-      smart_description: smartDescription
-    });
+    const { changes } = db.prepare('DELETE FROM watchers WHERE id = ?').run(req.params.id);
+    if (!changes) return res.status(404).json({ error: 'Watcher not found' });
+    db.prepare('DELETE FROM watch_files WHERE watcher_id = ?').run(req.params.id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Bulk analyze and update photos
-app.post('/api/items/bulk-analyze', async (req, res) => {
+// Scan a watch folder now
+app.post('/api/watchers/:id/scan', requireRole('admin'), async (req, res) => {
   try {
-    const { ids, apply = false } = req.body;
-    const results = [];
-    
-    for (const id of ids) {
-      try {
-        // Get the photo from Meural
-        const itemData = await meuralRequest('GET', `/items/${id}`);
-        if (!itemData.data) {
-          results.push({ id, success: false, error: 'Not found' });
-          continue;
-        }
-        
-        const photo = itemData.data;
-        const imageUrl = photo.image || photo.image_large;
-        
-        if (!imageUrl) {
-          results.push({ id, success: false, error: 'No image URL' });
-          continue;
-        }
-        
-        // Download and analyze
-        const imageResponse = await fetch(imageUrl);
-        const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-        const visionCaption = await analyzeImageWithVision(imageBuffer, 'image/jpeg');
-        
-        // Get EXIF and location
-        const stmt = db.prepare('SELECT * FROM photos WHERE meural_id = ?');
-        const exifRecord = stmt.get(id);
-        
-        let location = null;
-        if (exifRecord?.gps_latitude && exifRecord?.gps_longitude) {
-          location = await reverseGeocode(exifRecord.gps_latitude, exifRecord.gps_longitude);
-        }
-        
-        const smartDescription = await generateSmartDescription(exifRecord || {}, location, visionCaption);
-        
-        // Apply if requested
-        if (apply && smartDescription) {
-          await meuralRequest('PUT', `/items/${id}`, { 
-            name: smartDescription,
-            description: smartDescription 
-          });
-        }
-        
-        results.push({
-          id,
-          success: true,
-          vision_caption: visionCaption,
-          smart_description: smartDescription,
-          applied: apply && smartDescription ? true : false
-        });
-        
-        // Small delay to avoid rate limits
-        await new Promise(r => setTimeout(r, 500));
-        
-      } catch (err) {
-        results.push({ id, success: false, error: err.message });
-      }
-    }
-    
-    res.json({ results });
+    const row = db.prepare('SELECT * FROM watchers WHERE id = ?').get(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Watcher not found' });
+    res.json(await scanWatcher(parseWatcher(row)));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all galleries (playlists)
-app.get('/api/galleries', async (req, res) => {
+// List recent jobs (optionally filtered by status or type)
+app.get('/api/jobs', (req, res) => {
   try {
-    const data = await meuralRequest('GET', '/user/galleries');
-    res.json(data);
+    const where = [];
+    const params = [];
+    if (req.query.status) { where.push('status = ?'); params.push(req.query.status); }
+    if (req.query.type) { where.push('type = ?'); params.push(req.query.type); }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const rows = db.prepare(`SELECT id FROM jobs ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit);
+    res.json({ data: rows.map(r => getJob(r.id)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get items in a gallery (paginated or all)
-app.get('/api/galleries/:id/items', async (req, res) => {
+// Get a job with its per-item state
+app.get('/api/jobs/:id', (req, res) => {
   try {
-    if (req.query.all === 'true') {
-      // Fetch all items across all pages
-      let allItems = [];
-      let page = 1;
-      const perPage = 100;
-      while (true) {
-        const data = await meuralRequest('GET', `/galleries/${req.params.id}/items?page=${page}&count=${perPage}`);
-        const items = data.data || [];
-        allItems = allItems.concat(items);
-        if (items.length < perPage || data.isLast) break;
-        page++;
-      }
-      // Enrich with local EXIF date_taken
-      const exifLookup = {};
-      try {
-        const exifRows = db.prepare('SELECT meural_id, date_taken FROM photos WHERE date_taken IS NOT NULL').all();
-        exifRows.forEach(r => { exifLookup[r.meural_id] = r.date_taken; });
-      } catch (e) {}
-      allItems.forEach(item => {
-        item.dateTaken = exifLookup[item.id] || null;
-      });
-      res.json({ data: allItems, count: allItems.length });
-    } else {
-      const page = req.query.page || 1;
-      const count = req.query.count || 100;
-      const data = await meuralRequest('GET', `/galleries/${req.params.id}/items?page=${page}&count=${count}`);
-      res.json(data);
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
+    res.json({ data: job, items: getJobItems(job.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create a gallery
-app.post('/api/galleries', async (req, res) => {
+// Cancel a queued or running job (the item in flight finishes first)
+app.post('/api/jobs/:id/cancel', requireRole('curator'), (req, res) => {
   try {
-    const data = await meuralRequest('POST', '/galleries', req.body);
-    res.json(data);
+    if (!getJob(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!cancelJob(req.params.id)) {
+      return res.status(409).json({ error: 'Job is not queued or running' });
+    }
+    res.json({ success: true, data: getJob(req.params.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update a gallery
-app.put('/api/galleries/:id', async (req, res) => {
+// Retry the failed and cancelled items of a job
+app.post('/api/jobs/:id/retry', requireRole('curator'), async (req, res) => {
   try {
-    const data = await meuralRequest('PUT', `/galleries/${req.params.id}`, req.body);
-    res.json(data);
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    // Retrying does what starting the job did, so it needs the same role
+    const role = jobHandlers[job.type]?.role || 'curator';
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    const replan = jobHandlers[job.type]?.replan;
+    const items = replan && ['failed', 'cancelled'].includes(job.status) ? await replan(job) : null;
+    const requeued = retryJob(req.params.id, items);
+    if (!requeued && !items) {
+      return res.status(409).json({ error: 'Job has no failed or cancelled items to retry' });
+    }
+    res.json({ success: true, requeued, data: getJob(req.params.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete a gallery
-app.delete('/api/galleries/:id', async (req, res) => {
+// Reverse a change by its change_id (sent as X-Change-Id with the response
+// that made it; job-<id> for everything a job did). Small changes are undone
+// right away, larger ones are queued as an undo job.
+app.post('/api/undo/:changeId', requireRole('curator'), async (req, res) => {
   try {
-    const data = await meuralRequest('DELETE', `/galleries/${req.params.id}`);
-    res.json({ success: true, data });
+    const changeId = req.params.changeId;
+    const all = changeEntries(changeId);
+    if (all.length === 0) {
+      return res.status(404).json({ error: 'No changes to undo under that ID' });
+    }
+    // Entries an earlier undo reversed are left alone; the rest can be tried again
+    const undone = undoneEntryIds(changeId);
+    const entries = all.filter(e => !undone.has(e.id));
+    if (entries.length === 0) {
+      return res.status(409).json({ error: 'This change was already undone' });
+    }
+    if (db.prepare("SELECT 1 FROM jobs WHERE type = 'undo' AND status IN ('queued', 'running') AND json_extract(params_json, '$.change_id') = ?").get(changeId)) {
+      return res.status(409).json({ error: 'This change is already being undone' });
+    }
+    const oldest = all[all.length - 1];
+    if (Date.now() - new Date(`${oldest.at.replace(' ', 'T')}Z`).getTime() > UNDO_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(409).json({ error: `Only changes from the last ${UNDO_WINDOW_DAYS} days can be undone` });
+    }
+    const jobMatch = changeId.match(/^job-(\d+)$/);
+    const job = jobMatch ? getJob(parseInt(jobMatch[1])) : null;
+    if (job && ['queued', 'running'].includes(job.status)) {
+      return res.status(409).json({ error: 'The job is still running; cancel it or wait for it to finish' });
+    }
+
+    if (entries.length > UNDO_INLINE_LIMIT) {
+      const undoJob = enqueueJob('undo', entries.map(e => ({ target: e.id })), { change_id: changeId });
+      return res.status(202).json({ job_id: undoJob.id, job: undoJob });
+    }
+
+    const results = [];
+    for (const entry of entries) {
+      try {
+        results.push(await undoEntry(entry));
+      } catch (err) {
+        results.push({ id: entry.id, action: entry.action, target: entry.target, status: 'failed', error: err.message });
+      }
+    }
+    recordUndo(changeId, results);
+    const count = status => results.filter(r => r.status === status).length;
+    res.json({ change_id: changeId, undone: count('undone'), skipped: count('skipped'), failed: count('failed'), results });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Add item to gallery
-app.post('/api/galleries/:galleryId/items/:itemId', async (req, res) => {
+// Geocoder configuration, gazetteer size and cache size
+app.get('/api/geocoder', (req, res) => {
   try {
-    const data = await meuralRequest('POST', `/galleries/${req.params.galleryId}/items/${req.params.itemId}`);
-    res.json(data);
+    res.json({
+      providers: GEOCODE_PROVIDERS,
+      max_km: GEOCODER_MAX_KM,
+      gazetteer: { cities: gazetteerSize(), source: GEONAMES_FILE || `${GEONAMES_URL}/${GEONAMES_DATASET}.zip` },
+      cache: mainDb.prepare('SELECT COUNT(*) AS entries, COUNT(result_json) AS named FROM geocode_cache').get()
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Remove item from gallery
-app.delete('/api/galleries/:galleryId/items/:itemId', async (req, res) => {
+// Look up a place name for coordinates
+app.get('/api/geocoder/reverse', async (req, res) => {
   try {
-    const data = await meuralRequest('DELETE', `/galleries/${req.params.galleryId}/items/${req.params.itemId}`);
-    res.json({ success: true, data });
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return res.status(400).json({ error: 'lat and lon must be coordinates' });
+    }
+    res.json({ data: await reverseGeocode(lat, lon) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all devices (frames)
-app.get('/api/devices', async (req, res) => {
+// (Re)load the offline gazetteer from GEONAMES_FILE or GeoNames
+app.post('/api/geocoder/gazetteer', requireRole('admin'), async (req, res) => {
   try {
-    const data = await meuralRequest('GET', '/user/devices');
-    res.json(data);
+    res.json(await loadGazetteer());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Assign gallery to device
-app.post('/api/devices/:deviceId/galleries/:galleryId', async (req, res) => {
+// Forget cached place names
+app.delete('/api/geocoder/cache', requireRole('admin'), (req, res) => {
   try {
-    const data = await meuralRequest('POST', `/devices/${req.params.deviceId}/galleries/${req.params.galleryId}`);
-    res.json(data);
+    const { changes } = mainDb.prepare('DELETE FROM geocode_cache').run();
+    res.json({ success: true, cleared: changes });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get device galleries
-app.get('/api/devices/:id/galleries', async (req, res) => {
+// Query the audit log for this account (plus user and account changes).
+// Filters: actor, action (a trailing . matches a prefix, e.g. gallery.),
+// item_id, gallery_id, device_id, since, until; page back with before_id.
+app.get('/api/audit', (req, res) => {
   try {
-    const data = await meuralRequest('GET', `/devices/${req.params.id}/galleries`);
-    res.json(data);
+    const where = ['(account_id = ? OR account_id IS NULL)'];
+    const params = [req.account.id];
+    if (req.query.actor) {
+      where.push('actor = ?');
+      params.push(req.query.actor);
+    }
+    if (req.query.action) {
+      where.push(req.query.action.endsWith('.') ? 'action LIKE ?' : 'action = ?');
+      params.push(req.query.action.endsWith('.') ? `${req.query.action}%` : req.query.action);
+    }
+    for (const column of ['item_id', 'gallery_id', 'device_id']) {
+      if (req.query[column] === undefined) continue;
+      const value = parseInt(req.query[column]);
+      if (!Number.isInteger(value)) return res.status(400).json({ error: `${column} must be a number` });
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+    for (const [key, op] of [['since', '>='], ['until', '<=']]) {
+      if (!req.query[key]) continue;
+      const date = new Date(req.query[key]);
+      if (isNaN(date)) return res.status(400).json({ error: `${key} must be a date` });
+      where.push(`at ${op} ?`);
+      params.push(date.toISOString().replace('T', ' ').slice(0, 19));
+    }
+    if (req.query.before_id) {
+      where.push('id < ?');
+      params.push(parseInt(req.query.before_id) || 0);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const rows = mainDb.prepare(`SELECT * FROM audit_log WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+    const actors = mainDb.prepare('SELECT DISTINCT actor FROM audit_log WHERE account_id = ? OR account_id IS NULL ORDER BY actor').all(req.account.id).map(r => r.actor);
+    res.json({
+      data: rows.map(({ before_json, after_json, ...entry }) => ({
+        ...entry,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null
+      })),
+      actors,
+      next_before_id: rows.length === limit ? rows[rows.length - 1].id : null
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -752,6 +6998,12 @@ app.get('/api/devices/:id/galleries', async (req, res) => {
 const PORT = process.env.PORT || 3333;
 app.listen(PORT, () => {
   console.log(`Meural Manager running at http://localhost:${PORT}`);
+  startSyncTimer();
+  forEachAccount(resumeJobs);
+  startScheduler();
+  startTrashExpiry();
+  startWatchers();
+  startGazetteer();
 });
 
 // Resize image if too large for Meural (20MB limit, 1920x1080 display)
@@ -818,6 +7070,28 @@ function getSeason(dateString) {
   return 'Winter';
 }
 
+// Season names for captions in another language. Languages without an entry
+// get no season rather than an English word in the middle of the caption.
+const SEASON_NAMES = {
+  en: { Spring: 'Spring', Summer: 'Summer', Fall: 'Fall', Winter: 'Winter' },
+  fr: { Spring: 'Printemps', Summer: 'Été', Fall: 'Automne', Winter: 'Hiver' },
+  de: { Spring: 'Frühling', Summer: 'Sommer', Fall: 'Herbst', Winter: 'Winter' },
+  es: { Spring: 'Primavera', Summer: 'Verano', Fall: 'Otoño', Winter: 'Invierno' },
+  it: { Spring: 'Primavera', Summer: 'Estate', Fall: 'Autunno', Winter: 'Inverno' },
+  pt: { Spring: 'Primavera', Summer: 'Verão', Fall: 'Outono', Winter: 'Inverno' },
+  nl: { Spring: 'Lente', Summer: 'Zomer', Fall: 'Herfst', Winter: 'Winter' },
+  sv: { Spring: 'Vår', Summer: 'Sommar', Fall: 'Höst', Winter: 'Vinter' },
+  da: { Spring: 'Forår', Summer: 'Sommer', Fall: 'Efterår', Winter: 'Vinter' },
+  nb: { Spring: 'Vår', Summer: 'Sommer', Fall: 'Høst', Winter: 'Vinter' },
+  ja: { Spring: '春', Summer: '夏', Fall: '秋', Winter: '冬' },
+  zh: { Spring: '春', Summer: '夏', Fall: '秋', Winter: '冬' }
+};
+
+function localizedSeason(season, locale = 'en-US') {
+  if (!season) return null;
+  return SEASON_NAMES[locale.split('-')[0].toLowerCase()]?.[season] ?? null;
+}
+
 // Get time of day from date
 function getTimeOfDay(dateString) {
   if (!dateString) return null;
@@ -833,109 +7107,45 @@ function getTimeOfDay(dateString) {
   return 'night';
 }
 
-// Analyze image with Claude Vision
-async function analyzeImageWithVision(imageBuffer, mimeType) {
-  if (!anthropic) {
-    console.log('No Anthropic API key configured, skipping vision analysis');
-    return null;
-  }
-  
-  try {
-    const base64Image = imageBuffer.toString('base64');
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 150,
-      messages: [{
-        role: 'user',
-        content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: mimeType || 'image/jpeg',
-              data: base64Image
-            }
-          },
-          {
-            type: 'text',
-            text: `Describe this photo in 3-6 words for a digital frame caption. Focus on the subject, activity, or mood. Be poetic but concise. Examples: "Kids playing in autumn leaves", "Golden hour on the beach", "Birthday candles and laughter", "Quiet morning with coffee". Just give the caption, nothing else.`
-          }
-        ]
-      }]
-    });
-    
-    const caption = response.content[0]?.text?.trim();
-    console.log('Vision caption:', caption);
-    return caption;
-  } catch (err) {
-    console.error('Vision analysis error:', err.message);
-    return null;
-  }
-}
-
-// Generate smart name from EXIF, location, and vision
-async function generateSmartDescription(exifData, location, visionCaption) {
+// Generate smart name from EXIF, location, and vision. The style decides the
+// shape: "smart" joins city · season · caption, "caption" is the caption
+// alone and "template" renders the settings' template ({caption} included).
+// Without anything to go on it falls back to the month taken.
+async function generateSmartDescription(exifData, location, visionCaption, settings = CAPTION_DEFAULTS, item = {}) {
+  const locale = settings.language || 'en-US';
   const parts = [];
-  
-  // Location first (most grounding context)
-  if (location?.city) {
-    parts.push(location.city);
-  }
-  
-  // Season
-  const season = getSeason(exifData.date_taken);
-  if (season) {
-    parts.push(season);
-  }
-  
-  // Vision caption (the star of the show)
-  if (visionCaption) {
-    parts.push(visionCaption);
+
+  if (settings.style === 'template' && settings.template) {
+    const values = await templateValues(item, exifData, () => location, locale);
+    const rendered = renderTemplate(settings.template, { ...values, caption: visionCaption });
+    if (rendered) parts.push(rendered);
+  } else if (settings.style === 'caption') {
+    if (visionCaption) parts.push(visionCaption);
+  } else {
+    // Location first (most grounding context)
+    if (location?.city) {
+      parts.push(location.city);
+    }
+
+    // Season
+    const season = localizedSeason(getSeason(exifData.date_taken), locale);
+    if (season) {
+      parts.push(season);
+    }
+
+    // Vision caption (the star of the show)
+    if (visionCaption) {
+      parts.push(visionCaption);
+    }
   }
-  
+
   // If we have nothing, fall back to date
   if (parts.length === 0 && exifData.date_taken) {
     const date = new Date(exifData.date_taken);
-    parts.push(date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }));
+    parts.push(date.toLocaleDateString(locale, { month: 'long', year: 'numeric' }));
   }
-  
-  return parts.join(' · ') || null;
-}
 
-// Reverse geocode GPS coordinates to location name
-async function reverseGeocode(lat, lon) {
-  try {
-    // Using free Nominatim API (OpenStreetMap)
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lon}&format=json`,
-      { headers: { 'User-Agent': 'MeuralManager/1.0' } }
-    );
-    const data = await response.json();
-    
-    // Build a clean location name
-    const parts = [];
-    if (data.address?.city || data.address?.town || data.address?.village) {
-      parts.push(data.address.city || data.address.town || data.address.village);
-    }
-    if (data.address?.state) {
-      parts.push(data.address.state);
-    }
-    if (data.address?.country) {
-      parts.push(data.address.country);
-    }
-    
-    return {
-      display_name: parts.join(', ') || data.display_name,
-      city: data.address?.city || data.address?.town || data.address?.village || null,
-      state: data.address?.state || null,
-      country: data.address?.country || null,
-      country_code: data.address?.country_code || null
-    };
-  } catch (err) {
-    console.error('Geocoding error:', err.message);
-    return null;
-  }
+  return parts.join(' · ') || null;
 }
 
 
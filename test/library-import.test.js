@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planImport, importJobGalleries } = require('../lib/library-import');
+
+// An archive with two photos, both in "Family"; 7 is Meural art not in the archive
+function archive() {
+  return {
+    manifest: {
+      exported_at: '2025-06-01T00:00:00.000Z',
+      items: [
+        { id: 1, name: 'Beach', file: 'images/1.jpg', photo: null },
+        { id: 2, name: 'Dunes', file: 'images/2.jpg', photo: null }
+      ],
+      galleries: [{ id: 100, name: 'Family', items: [1, 2, 7] }]
+    },
+    files: {
+      'images/1.jpg': { hashes: { dhash: 'a1', phash: 'b1' } },
+      'images/2.jpg': { hashes: { dhash: 'a2', phash: 'b2' } }
+    }
+  };
+}
+
+function library({ owned = [], duplicates = {}, galleries = [] } = {}) {
+  return {
+    ownsItem: id => owned.includes(id),
+    findDuplicate: hashes => duplicates[hashes.dhash] ?? null,
+    findGallery: name => galleries.find(g => g.name.toLowerCase() === name.toLowerCase()) || null
+  };
+}
+
+test('an empty library uploads every photo and creates every playlist', () => {
+  const plan = planImport(archive(), library());
+  assert.deepEqual(plan.items.map(i => i.action), ['upload', 'upload']);
+  assert.deepEqual(plan.galleries, [{ old_id: 100, name: 'Family', action: 'create', existing_id: null, items_to_add: 3 }]);
+  assert.deepEqual(importJobGalleries(archive().manifest, plan).map(g => g.existing_id), [null]);
+});
+
+test('photos already in the library are skipped and mapped to theirs', () => {
+  const plan = planImport(archive(), library({ owned: [1], duplicates: { a2: 55 } }));
+  assert.deepEqual(plan.items.map(i => [i.action, i.existing_id]), [['skip', 1], ['skip', 55]]);
+  assert.equal(plan.summary.skip, 2);
+});
+
+test('importing into a library that has the playlist reuses it', () => {
+  const existing = { id: 900, name: 'family', items: [55, 7] };
+  const plan = planImport(archive(), library({ duplicates: { a2: 55 }, galleries: [existing] }));
+  assert.equal(plan.galleries[0].action, 'reuse');
+  assert.equal(plan.galleries[0].existing_id, 900);
+  // Photo 1 is new; 2 (as 55) and the art are already there
+  assert.equal(plan.galleries[0].items_to_add, 1);
+  assert.equal(plan.summary.reuse_galleries, 1);
+
+  const [gallery] = importJobGalleries(archive().manifest, plan);
+  assert.equal(gallery.id, 100);
+  assert.equal(gallery.existing_id, 900);
+  assert.deepEqual(gallery.items, [1, 2, 7]);
+});
+
+test('photos whose image is missing from the archive are reported', () => {
+  const broken = archive();
+  delete broken.files['images/2.jpg'];
+  const plan = planImport(broken, library());
+  assert.deepEqual(plan.items[1], { old_id: 2, name: 'Dunes', action: 'missing' });
+  assert.equal(plan.summary.missing, 1);
+});
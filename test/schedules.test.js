@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchedule, scheduleMatches, resolveSchedule, memoryScheduleStore, retryDelay, createScheduler } = require('../lib/schedules');
+
+// Local time, like the frames' clock: month is 1-12
+const at = (month, day, hour = 12, minute = 0) => new Date(2025, month - 1, day, hour, minute);
+
+function schedule(fields) {
+  return { id: 1, device_id: null, gallery_id: 10, days: null, priority: 0, enabled: true, ...fields };
+}
+
+test('days limit a schedule to those weekdays', () => {
+  const weekdays = schedule({ days: [1, 2, 3, 4, 5] });
+  assert.equal(scheduleMatches(weekdays, at(6, 2)), true); // Monday
+  assert.equal(scheduleMatches(weekdays, at(6, 1)), false); // Sunday
+});
+
+test('a time window includes its start and excludes its end', () => {
+  const morning = schedule({ start_time: '06:00', end_time: '10:00' });
+  assert.equal(scheduleMatches(morning, at(6, 2, 6, 0)), true);
+  assert.equal(scheduleMatches(morning, at(6, 2, 9, 59)), true);
+  assert.equal(scheduleMatches(morning, at(6, 2, 10, 0)), false);
+  assert.equal(scheduleMatches(morning, at(6, 2, 5, 59)), false);
+});
+
+test('a time window can wrap midnight', () => {
+  const night = schedule({ start_time: '22:00', end_time: '06:00' });
+  assert.equal(scheduleMatches(night, at(6, 2, 23, 30)), true);
+  assert.equal(scheduleMatches(night, at(6, 2, 0, 0)), true);
+  assert.equal(scheduleMatches(night, at(6, 2, 5, 59)), true);
+  assert.equal(scheduleMatches(night, at(6, 2, 6, 0)), false);
+  assert.equal(scheduleMatches(night, at(6, 2, 12, 0)), false);
+});
+
+test('a date window is inclusive and can wrap the year', () => {
+  const holidays = schedule({ start_date: '12-01', end_date: '01-06' });
+  assert.equal(scheduleMatches(holidays, at(12, 1)), true);
+  assert.equal(scheduleMatches(holidays, at(12, 31)), true);
+  assert.equal(scheduleMatches(holidays, at(1, 6, 23, 59)), true);
+  assert.equal(scheduleMatches(holidays, at(1, 7)), false);
+  assert.equal(scheduleMatches(holidays, at(11, 30)), false);
+
+  const summer = schedule({ start_date: '06-01', end_date: '08-31' });
+  assert.equal(scheduleMatches(summer, at(7, 15)), true);
+  assert.equal(scheduleMatches(summer, at(9, 1)), false);
+});
+
+test('the highest priority wins, then the frame-specific schedule, then the newest', () => {
+  const everyone = schedule({ id: 1, gallery_id: 10 });
+  const kitchen = schedule({ id: 2, gallery_id: 20, device_id: 7 });
+  const urgent = schedule({ id: 3, gallery_id: 30, priority: 5 });
+  const disabled = schedule({ id: 4, gallery_id: 40, priority: 9, enabled: false });
+  const newer = schedule({ id: 5, gallery_id: 50 });
+
+  assert.equal(resolveSchedule([everyone, kitchen], 7, at(6, 2)).id, 2);
+  assert.equal(resolveSchedule([everyone, kitchen], 8, at(6, 2)).id, 1);
+  assert.equal(resolveSchedule([everyone, kitchen, urgent, disabled], 7, at(6, 2)).id, 3);
+  assert.equal(resolveSchedule([everyone, newer], 8, at(6, 2)).id, 5);
+  assert.equal(resolveSchedule([disabled], 7, at(6, 2)), null);
+});
+
+test('validateSchedule rejects malformed windows', () => {
+  assert.equal(validateSchedule({ name: 'x', gallery_id: 1, start_time: '06:00', end_time: '10:00' }), null);
+  assert.match(validateSchedule({ name: 'x', gallery_id: 1, start_time: '6:00', end_time: '10:00' }), /HH:MM/);
+  assert.match(validateSchedule({ name: 'x', gallery_id: 1, start_time: '06:00' }), /go together/);
+  assert.match(validateSchedule({ name: 'x', gallery_id: 1, start_date: '13-01', end_date: '01-06' }), /MM-DD/);
+  assert.match(validateSchedule({ name: 'x', gallery_id: 1, days: [7] }), /days/);
+});
+
+test('the scheduler only switches a frame when the winning schedule changes', async () => {
+  let clock = at(6, 2, 7, 0);
+  const assigned = [];
+  const store = memoryScheduleStore();
+  const schedules = [
+    schedule({ id: 1, gallery_id: 10 }),
+    schedule({ id: 2, gallery_id: 20, start_time: '08:00', end_time: '09:00', priority: 1 })
+  ];
+  const scheduler = createScheduler({
+    now: () => clock,
+    assign: async (deviceId, galleryId) => { assigned.push([deviceId, galleryId]); },
+    loadSchedules: () => schedules,
+    loadDevices: () => [{ id: 7 }],
+    store
+  });
+
+  assert.equal((await scheduler.tick()).length, 1);
+  assert.equal((await scheduler.tick()).length, 0);
+  clock = at(6, 2, 8, 30);
+  await scheduler.tick();
+  await scheduler.tick();
+  clock = at(6, 2, 9, 0);
+  await scheduler.tick();
+
+  assert.deepEqual(assigned, [[7, 10], [7, 20], [7, 10]]);
+  assert.equal(store.getState(7).schedule_id, 1);
+  assert.equal(store.runs.length, 3);
+});
+
+test('a failed assignment is recorded and retried with backoff', async () => {
+  let clock = at(6, 2, 12, 0);
+  let fail = true;
+  const store = memoryScheduleStore();
+  const scheduler = createScheduler({
+    now: () => clock,
+    assign: async () => { if (fail) throw new Error('frame offline'); },
+    loadSchedules: () => [schedule({ id: 1 })],
+    loadDevices: () => [{ id: 7 }],
+    store
+  });
+
+  const [first] = await scheduler.tick();
+  assert.equal(first.status, 'failed');
+  assert.equal(first.error, 'frame offline');
+  assert.equal(store.getState(7).failures, 1);
+  assert.equal(store.getState(7).assigned_at, null);
+  assert.deepEqual(await scheduler.tick(), []);
+
+  // Retried after a minute, then after two
+  clock = at(6, 2, 12, 1);
+  assert.equal((await scheduler.tick())[0].status, 'failed');
+  assert.equal(store.getState(7).failures, 2);
+  clock = at(6, 2, 12, 2);
+  assert.deepEqual(await scheduler.tick(), []);
+  // A run started by hand doesn't wait
+  assert.equal((await scheduler.tick({ retryFailed: true }))[0].status, 'failed');
+  assert.equal(store.getState(7).failures, 3);
+
+  fail = false;
+  clock = at(6, 2, 12, 6);
+  const [second] = await scheduler.tick();
+  assert.equal(second.status, 'success');
+  assert.equal(store.getState(7).gallery_id, 10);
+  assert.equal(store.getState(7).failures, 0);
+  assert.equal(store.runs.length, 4);
+  assert.deepEqual(await scheduler.tick(), []);
+});
+
+test('the retry delay doubles up to an hour', () => {
+  assert.equal(retryDelay(1), 60 * 1000);
+  assert.equal(retryDelay(3), 4 * 60 * 1000);
+  assert.equal(retryDelay(20), 60 * 60 * 1000);
+});
+
+test('state is cleared when no schedule applies, so the next one assigns again', async () => {
+  let clock = at(6, 2, 8, 30);
+  const assigned = [];
+  const store = memoryScheduleStore();
+  const scheduler = createScheduler({
+    now: () => clock,
+    assign: async (deviceId, galleryId) => { assigned.push(galleryId); },
+    loadSchedules: () => [schedule({ id: 1, start_time: '08:00', end_time: '09:00' })],
+    loadDevices: () => [{ id: 7 }],
+    store
+  });
+
+  await scheduler.tick();
+  clock = at(6, 2, 10, 0);
+  await scheduler.tick();
+  assert.equal(store.getState(7), null);
+  clock = at(6, 3, 8, 0);
+  await scheduler.tick();
+  assert.deepEqual(assigned, [10, 10]);
+});
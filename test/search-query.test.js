@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { datePeriod, rangeCondition, parseSearchQuery } = require('../lib/search-query');
+
+test('datePeriod covers a year, month or day as a half-open range', () => {
+  assert.deepEqual(datePeriod('2019'), ['2019-01-01', '2020-01-01']);
+  assert.deepEqual(datePeriod('2020-02'), ['2020-02-01', '2020-03-01']);
+  assert.deepEqual(datePeriod('2019-12-31'), ['2019-12-31', '2020-01-01']);
+  assert.equal(datePeriod('2019-13'), null);
+});
+
+test('a date range includes the whole of its last period', () => {
+  assert.deepEqual(rangeCondition('date', '2019..2021'), {
+    sql: 'p.date_taken >= ? AND p.date_taken < ?',
+    params: ['2019-01-01', '2022-01-01']
+  });
+  assert.deepEqual(rangeCondition('date', '>2019'), { sql: 'p.date_taken >= ?', params: ['2020-01-01'] });
+});
+
+test('numeric filters compare against their column', () => {
+  assert.deepEqual(parseSearchQuery('iso:>1600').where, ['p.iso > ?']);
+  assert.deepEqual(parseSearchQuery('iso:>1600').params, [1600]);
+  assert.deepEqual(rangeCondition('focal', '<35'), { sql: 'p.focal_length < ?', params: [35] });
+  assert.deepEqual(rangeCondition('focal', '35mm').params, [35, 35]);
+  assert.deepEqual(rangeCondition('aperture', 'f/2.8..4').params, [2.8, 4]);
+  assert.match(rangeCondition('iso', 'lots').error, /not a number/);
+});
+
+test('a leading minus negates filters and words', () => {
+  const query = parseSearchQuery('beach -sunset -iso:>1600 -has:gps');
+  assert.deepEqual(query.terms, ['"beach"*']);
+  assert.deepEqual(query.excluded, ['"sunset"*']);
+  assert.equal(query.where[0], 'NOT (p.iso > ?)');
+  assert.match(query.where[1], /^NOT \(/);
+  assert.deepEqual(query.params, [1600]);
+  assert.deepEqual(query.filters, ['-iso:>1600', '-has:gps']);
+});
+
+test('stopwords are dropped unless the query has nothing else', () => {
+  assert.deepEqual(parseSearchQuery('photos from lisbon').terms, ['"lisbon"*']);
+  assert.deepEqual(parseSearchQuery('the photos').terms, ['"the"*', '"photos"*']);
+});
+
+test('a colon word that is not a known filter is searched as text', () => {
+  const query = parseSearchQuery('10:30 meeting');
+  assert.deepEqual(query.terms, ['"10:30"*', '"meeting"*']);
+  assert.deepEqual(query.where, []);
+  assert.deepEqual(query.filters, []);
+});
+
+test('an invalid filter value is reported instead of ignored', () => {
+  assert.match(parseSearchQuery('iso:lots').error, /iso/);
+  assert.match(parseSearchQuery('similar:abc').error, /similar/);
+});